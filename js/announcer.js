@@ -0,0 +1,89 @@
+/**
+ * Announcer - Calls out the game with the Web Speech synthesis API
+ * For players who are watching the describer instead of the phone.
+ */
+
+/**
+ * Say a score the way a person would, e.g. "1 point" or "minus 2 points"
+ * @param {number} score - Points, possibly negative
+ * @returns {string}
+ */
+const sayPoints = (score) => {
+  const points = Math.abs(score);
+  return `${score < 0 ? 'minus ' : ''}${points} point${points === 1 ? '' : 's'}`;
+};
+
+// Each phrase is text or a function that builds it; lang picks a matching voice
+export const PHRASE_SETS = {
+  english: {
+    lang: 'en',
+    getReady: (team, describer) => (describer ? `${team}, get ready. ${describer} is describing.` : `${team}, get ready.`),
+    count: (count) => String(count),
+    go: 'Go!',
+    tenSecondsLeft: '10 seconds left!',
+    timeUp: "Time's up!",
+    roundResult: (team, score) => `${team} scored ${sayPoints(score)}.`
+  },
+  naija: {
+    lang: 'en-NG',
+    getReady: (team, describer) => (describer ? `${team}, make una ready! ${describer}, na you dey talk.` : `${team}, make una ready!`),
+    count: (count) => String(count),
+    go: 'Oya! Go!',
+    tenSecondsLeft: 'Ten seconds remain o!',
+    timeUp: 'Time don reach!',
+    roundResult: (team, score) => (score > 0
+      ? `${team} don chop ${sayPoints(score)}!`
+      : `${team}, ${sayPoints(score)}. Una go try again!`)
+  }
+};
+
+export class Announcer {
+  /**
+   * @param {Object} options - { speech, Utterance } to run without a browser
+   */
+  constructor({ speech = globalThis.speechSynthesis, Utterance = globalThis.SpeechSynthesisUtterance } = {}) {
+    this.speech = speech ?? null;
+    this.Utterance = Utterance ?? null;
+    this.voice = 'off'; // 'off' or a PHRASE_SETS key
+    this.volume = 1;
+  }
+
+  /**
+   * Whether this browser can speak
+   * @returns {boolean}
+   */
+  get isSupported() {
+    return Boolean(this.speech && this.Utterance);
+  }
+
+  /**
+   * Say a phrase from the chosen set, cutting off anything still being said
+   * @param {string} phrase - Key in the phrase set
+   * @param {...*} args - Values for the phrase, e.g. team name and score
+   */
+  announce(phrase, ...args) {
+    const phrases = PHRASE_SETS[this.voice];
+    if (!phrases || !this.isSupported || this.volume === 0) return;
+
+    const entry = phrases[phrase];
+    const utterance = new this.Utterance(typeof entry === 'function' ? entry(...args) : entry);
+    utterance.lang = phrases.lang;
+    utterance.volume = this.volume;
+    const voice = this.findVoice(phrases.lang);
+    if (voice) utterance.voice = voice;
+
+    this.speech.cancel();
+    this.speech.speak(utterance);
+  }
+
+  /**
+   * Find an installed voice for a language, falling back to any English voice
+   * @param {string} lang - BCP 47 language tag
+   * @returns {SpeechSynthesisVoice|null}
+   */
+  findVoice(lang) {
+    const voices = this.speech.getVoices?.() ?? [];
+    const matches = (prefix) => voices.find(voice => voice.lang.replace('_', '-').startsWith(prefix));
+    return matches(lang) ?? matches('en') ?? null;
+  }
+}
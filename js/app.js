@@ -4,7 +4,12 @@
 import { GameManager } from './game-manager.js';
 import { UIManager } from './ui-manager.js';
 import { SoundManager } from './sound-manager.js';
-import { loadCards, getElement, getElements } from './utils.js';
+import { DeckManager } from './deck-manager.js';
+import { ScoreboardBroadcast } from './scoreboard-broadcast.js';
+import { RemoteHost } from './remote-play.js';
+import { GestureControls } from './gesture-controls.js';
+import { InputControls } from './input-controls.js';
+import { loadDeckManifest, generateSeed, getElement, getElements } from './utils.js';
 
 // Global reference for toggleCardStatus (called from HTML onclick)
 window.toggleCardStatus = null;
@@ -13,48 +18,165 @@ window.toggleCardStatus = null;
  * Initialize the application
  */
 document.addEventListener('DOMContentLoaded', async () => {
-  // Load card data
-  const cardData = await loadCards();
+  // Load deck manifest (deck cards load lazily when selected)
+  const deckManifest = await loadDeckManifest();
   
   // Initialize managers
   const soundManager = new SoundManager();
   const uiManager = new UIManager();
-  const game = new GameManager(uiManager, soundManager, cardData);
+  const game = new GameManager(deckManifest);
+  uiManager.bindGame(game);
+  soundManager.bindGame(game);
+  const deckManager = new DeckManager(uiManager);
+  
+  // Keep the game's deck list in sync with custom decks
+  deckManager.onChange = (decks) => game.setCustomDecks(decks);
+  game.setCustomDecks(deckManager.decks);
+  
+  // Mirror timer and scores to any open scoreboard display
+  if ('BroadcastChannel' in window) {
+    new ScoreboardBroadcast(game);
+  }
+  
+  // Pause the turn when the app is hidden: another app, a phone call or a locked screen
+  document.addEventListener('visibilitychange', () => game.handleVisibilityChange(document.hidden));
+  window.addEventListener('pagehide', () => game.handleVisibilityChange(true));
+  soundManager.onInterrupted = () => {
+    if (game.isTurnRunning()) game.togglePause(true);
+  };
+  
+  // Swipe and tilt the card instead of tapping
+  const gestures = new GestureControls(game, getElement('game-card'));
+  
+  // Keyboard, clicker and gamepad shortcuts
+  const inputControls = new InputControls();
+  inputControls.listen();
+  
+  // Phones linked over WebRTC
+  const remoteHost = 'RTCPeerConnection' in window ? new RemoteHost(game, uiManager) : null;
+  if (!remoteHost) {
+    getElement('link-phone-btn').style.display = 'none';
+  }
+  
+  // Spoken announcements need speech synthesis
+  if (!soundManager.announcer.isSupported) {
+    getElement('voice-options').style.display = 'none';
+  }
   
   // Expose toggleCardStatus to window for HTML onclick handlers
   window.toggleCardStatus = (index) => game.toggleCardStatus(index);
   
   // Setup event listeners
-  setupEventListeners(game, soundManager);
+  setupEventListeners(game, uiManager, soundManager, deckManager, remoteHost, gestures, inputControls);
   
   // Initialize PWA
   initializePWA();
   
   // Render initial screen
+  uiManager.updateMatchFormat(game.matchFormat);
+  uiManager.updateTournamentOptions(game.tournamentFormat, game.tournamentSize);
+  uiManager.showContinueOption(game.hasSavedGame());
+  uiManager.showTournamentOption(Boolean(game.tournament));
+  uiManager.updateGestureSettings(gestures.settings);
+  uiManager.updateSoundSettings(soundManager.settings, soundManager.isMuted());
   uiManager.renderScreen(game.state);
 });
 
 /**
  * Setup all event listeners
  * @param {GameManager} game - Game manager instance
+ * @param {UIManager} uiManager - UI manager instance
  * @param {SoundManager} soundManager - Sound manager instance
+ * @param {DeckManager} deckManager - Deck manager instance
+ * @param {RemoteHost|null} remoteHost - Phone linking, when WebRTC is available
+ * @param {GestureControls} gestures - Swipe and tilt controls
+ * @param {InputControls} inputControls - Keyboard, clicker and gamepad shortcuts
  */
-function setupEventListeners(game, soundManager) {
+function setupEventListeners(game, uiManager, soundManager, deckManager, remoteHost, gestures, inputControls) {
   // Button action mappings
   const actions = {
     'play-now-btn': () => {
       soundManager.init(); // Initialize audio on user gesture
-      game.state = 'TEAM_SELECTION';
-      game.ui.renderScreen(game.state);
+      game.discardSavedGame();
+      game.showScreen('TEAM_SELECTION');
     },
-    'next-round-btn': () => game.startCountdown(),
+    'continue-game-btn': () => {
+      soundManager.init();
+      game.resumeSavedGame();
+    },
+    'manage-decks-btn': () => {
+      game.showScreen('DECK_MANAGER');
+      deckManager.open();
+    },
+    'close-deck-manager-btn': () => game.showScreen('TEAM_SELECTION'),
+    'new-deck-btn': () => deckManager.newDeck(),
+    'import-deck-btn': () => getElement('deck-import-input')?.click(),
+    'add-deck-card-btn': () => deckManager.addCard(),
+    'save-deck-btn': () => deckManager.saveDraft(),
+    'cancel-deck-btn': () => deckManager.open(),
+    'start-game-btn': () => {
+      if (game.isTournamentSetup) {
+        game.startTournament();
+      } else {
+        game.setupAndStartGame();
+      }
+    },
+    'setup-tournament-btn': () => game.configureTournament(),
+    'tournament-size-down': () => game.adjustTournamentSize(-1),
+    'tournament-size-up': () => game.adjustTournamentSize(1),
+    'open-bracket-btn': () => {
+      soundManager.init();
+      game.showBracket();
+    },
+    'play-match-btn': () => game.playTournamentMatch(),
+    'history-btn': () => game.showHistory('games'),
+    'export-history-btn': () => uiManager.exportHistory(game.gameHistory.games),
+    'clear-history-btn': () => game.clearHistory(),
+    'close-history-btn': () => game.showScreen('WELCOME'),
+    'end-tournament-btn': () => game.endTournament(),
+    'back-to-teams-btn': () => game.resetGame(),
+    'next-round-btn': () => game.startNextRound(),
     'new-game-btn': () => game.resetGame(),
-    'play-again-btn': () => game.resetGame(),
+    'play-again-btn': () => game.playAgain(),
+    'share-result-btn': () => uiManager.shareResult(game.getResultSummary()),
     'skip-countdown-btn': () => game.skipCountdown(),
     'correct-btn': () => game.handleCorrect(),
+    'random-seed-btn': () => {
+      game.setSeed(generateSeed());
+      uiManager.updateSeed(game.seed);
+    },
+    'match-target-down': () => game.adjustMatchTarget(-1),
+    'match-target-up': () => game.adjustMatchTarget(1),
     'pass-btn': () => game.handlePass(),
-    'sound-btn': (e) => soundManager.toggle(e.target),
+    'buzz-btn': () => game.handleBuzz(),
+    'sound-btn': () => actions['settings-btn'](),
+    'settings-btn': () => {
+      uiManager.updateHistorySummary(game.cardHistory.getRecentlySeen().size);
+      uiManager.toggleSettings(true);
+    },
+    'close-settings-btn': () => uiManager.toggleSettings(false),
+    'shortcuts-btn': () => {
+      uiManager.renderShortcuts(inputControls.bindings, inputControls.capturing);
+      uiManager.toggleShortcuts(true);
+    },
+    'reset-shortcuts-btn': () => inputControls.resetBindings(),
+    'close-shortcuts-btn': () => {
+      inputControls.cancelCapture();
+      uiManager.toggleShortcuts(false);
+    },
+    'open-scoreboard-btn': () => window.open('./scoreboard.html', 'dattin-scoreboard'),
+    'link-phone-btn': () => remoteHost.open(),
+    'copy-offer-btn': () => navigator.clipboard?.writeText(getElement('pairing-offer').value),
+    'scan-answer-btn': () => remoteHost.scanAnswer(getElement('pairing-video')),
+    'connect-phone-btn': () => remoteHost.connect(getElement('pairing-answer').value),
+    'close-pairing-btn': () => remoteHost.close(),
+    'reset-history-btn': () => {
+      if (confirm('Forget which cards you have already played?')) {
+        game.resetCardHistory();
+      }
+    },
     'confirm-score-btn': () => game.confirmScore(),
+    'steal-done-btn': () => game.finishSteal(),
     'pause-btn': () => game.togglePause(),
     'resume-btn': () => game.togglePause(),
     'quit-game-btn': () => game.quitGame(),
@@ -69,26 +191,108 @@ function setupEventListeners(game, soundManager) {
     }
   });
 
+  // Shortcuts press the same buttons as a tap; the game ignores any that do not fit the screen
+  const shortcutButtons = {
+    correct: 'correct-btn',
+    pass: 'pass-btn',
+    buzz: 'buzz-btn',
+    pause: 'pause-btn',
+    skipCountdown: 'skip-countdown-btn',
+    confirmReview: 'confirm-score-btn',
+    help: 'shortcuts-btn'
+  };
+  inputControls.onCommand = (command) => {
+    if (command === 'help' && uiManager.isShortcutsOpen()) {
+      actions['close-shortcuts-btn']();
+    } else if (command === 'help' || !uiManager.isOverlayOpen()) {
+      actions[shortcutButtons[command]]();
+    }
+  };
+  inputControls.onBindingsChange = () => {
+    uiManager.renderShortcuts(inputControls.bindings, inputControls.capturing);
+  };
+  getElement('shortcut-list')?.addEventListener('click', (e) => {
+    const button = e.target.closest('.shortcut-change-btn');
+    if (button) inputControls.startCapture(button.dataset.command);
+  });
+
   // Team count buttons
   getElements('.team-count-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
       const teamCount = parseInt(e.target.dataset.teams);
-      game.setupAndStartGame(teamCount);
+      game.configureTeams(teamCount);
+    });
+  });
+
+  // Deck selection tiles (delegated so custom deck tiles work too)
+  getElement('deck-selector')?.addEventListener('click', (e) => {
+    const option = e.target.closest('.deck-option');
+    if (!option) return;
+    
+    const success = game.toggleDeck(option.dataset.deck);
+    if (success) {
+      option.classList.toggle('selected');
+    }
+  });
+
+  // Steal mode buttons
+  getElements('.steal-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      getElements('.steal-btn').forEach(b => b.classList.remove('selected'));
+      e.currentTarget.classList.add('selected');
+      game.setStealMode(e.currentTarget.dataset.steal === 'on');
+    });
+  });
+
+  // Volume sliders, sound packs and announcer voices
+  [['sfx-volume', 'sfx'], ['music-volume', 'music']].forEach(([id, channel]) => {
+    getElement(id)?.addEventListener('input', (e) => {
+      soundManager.init();
+      soundManager.setVolume(channel, parseInt(e.target.value) / 100);
+      uiManager.updateSoundSettings(soundManager.settings, soundManager.isMuted());
+    });
+  });
+  getElements('.sound-pack-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      soundManager.init();
+      soundManager.setPack(e.currentTarget.dataset.pack);
+      uiManager.updateSoundSettings(soundManager.settings, soundManager.isMuted());
+    });
+  });
+  getElements('.voice-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      soundManager.setVoice(e.currentTarget.dataset.voice);
+      uiManager.updateSoundSettings(soundManager.settings, soundManager.isMuted());
     });
   });
 
-  // Deck selection buttons
-  getElements('.deck-option').forEach(option => {
-    option.addEventListener('click', (e) => {
-      const deck = e.currentTarget.dataset.deck;
-      const success = game.toggleDeck(deck);
+  // Gesture settings
+  getElements('.gesture-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      const { gesture } = e.currentTarget.dataset;
+      const enabled = e.currentTarget.dataset.enabled === 'true';
       
-      if (success) {
-        e.currentTarget.classList.toggle('selected');
+      if (gesture === 'tilt') {
+        const isOn = await gestures.setTilt(enabled);
+        if (enabled && !isOn) {
+          uiManager.showToast('Tilt no dey work on this phone or browser');
+        }
+      } else {
+        gestures.setSwipe(enabled);
       }
+      uiManager.updateGestureSettings(gestures.settings);
     });
   });
 
+  // Game seed input
+  getElement('seed-input')?.addEventListener('input', (e) => game.setSeed(e.target.value));
+
+  // Deck import file picker
+  getElement('deck-import-input')?.addEventListener('change', async (e) => {
+    await deckManager.importFile(e.target.files[0]);
+    e.target.value = '';
+  });
+
   // Timer duration buttons
   getElements('.timer-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
@@ -103,6 +307,81 @@ function setupEventListeners(game, soundManager) {
       game.setRoundDuration(duration);
     });
   });
+
+  // Tournament format buttons
+  getElements('.tournament-format-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      game.setTournamentFormat(e.currentTarget.dataset.format);
+    });
+  });
+
+  // History view tabs
+  getElements('.history-view-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => game.showHistory(e.currentTarget.dataset.view));
+  });
+
+  // Game mode buttons
+  getElements('.mode-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      getElements('.mode-btn').forEach(b => b.classList.remove('selected'));
+      e.currentTarget.classList.add('selected');
+      game.setGameMode(e.currentTarget.dataset.mode);
+    });
+  });
+
+  // Match format buttons
+  getElements('.format-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      game.setMatchMode(e.currentTarget.dataset.format);
+    });
+  });
+
+  // Difficulty filter buttons (multi-select)
+  getElements('.difficulty-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const success = game.toggleDifficulty(e.currentTarget.dataset.difficulty);
+      if (success) {
+        e.currentTarget.classList.toggle('selected');
+      }
+    });
+  });
+
+  // Scoring buttons
+  getElements('.scoring-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      getElements('.scoring-btn').forEach(b => b.classList.remove('selected'));
+      e.currentTarget.classList.add('selected');
+      game.setScoreByDifficulty(e.currentTarget.dataset.scoring === 'difficulty');
+    });
+  });
+
+  // Pass rule buttons
+  const passRuleHandlers = {
+    limit: (value) => game.setPassLimit(parseInt(value)),
+    penalty: (value) => game.setPassPenalty(parseInt(value)),
+    recycle: (value) => game.setPassRecycle(value === 'true')
+  };
+  Object.entries(passRuleHandlers).forEach(([rule, handler]) => {
+    const buttons = getElements(`.pass-rule-btn[data-rule="${rule}"]`);
+    buttons.forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        buttons.forEach(b => b.classList.remove('selected'));
+        e.currentTarget.classList.add('selected');
+        handler(e.currentTarget.dataset.value);
+      });
+    });
+  });
+
+  // Buzz penalty buttons
+  getElements('.penalty-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      getElements('.penalty-btn').forEach(b => b.classList.remove('selected'));
+      e.currentTarget.classList.add('selected');
+      
+      const penalty = parseInt(e.currentTarget.dataset.penalty);
+      game.setBuzzPenalty(penalty);
+    });
+  });
 }
 
 /**
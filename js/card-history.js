@@ -0,0 +1,72 @@
+/**
+ * Card History - Remembers which cards were played in recent games
+ */
+import { GAME_CONFIG } from './constants.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+
+export class CardHistory {
+  constructor(maxSessions = GAME_CONFIG.HISTORY_SESSIONS) {
+    this.maxSessions = maxSessions;
+    
+    // Oldest first; each session is an array of card keys
+    this.sessions = readStorage(GAME_CONFIG.STORAGE_KEYS.CARD_HISTORY, []);
+  }
+
+  /**
+   * Get the key that identifies a card across games
+   * @param {Object} card - Card tagged with its deck as category
+   * @returns {string}
+   */
+  static getCardKey(card) {
+    return `${card.category}:${card.targetWord}`;
+  }
+
+  /**
+   * Begin recording a new game, forgetting the oldest one past the limit
+   */
+  startSession() {
+    this.sessions.push([]);
+    this.sessions = this.sessions.slice(-this.maxSessions);
+    this.save();
+  }
+
+  /**
+   * Record that a card was played in the current game
+   * @param {Object} card - Card tagged with its deck as category
+   */
+  markSeen(card) {
+    if (this.sessions.length === 0) {
+      this.sessions.push([]);
+    }
+    
+    const key = CardHistory.getCardKey(card);
+    const current = this.sessions[this.sessions.length - 1];
+    if (!current.includes(key)) {
+      current.push(key);
+      this.save();
+    }
+  }
+
+  /**
+   * Get every card key played in the remembered games
+   * @returns {Set<string>}
+   */
+  getRecentlySeen() {
+    return new Set(this.sessions.flat());
+  }
+
+  /**
+   * Forget all played cards
+   */
+  reset() {
+    this.sessions = [];
+    removeStorage(GAME_CONFIG.STORAGE_KEYS.CARD_HISTORY);
+  }
+
+  /**
+   * Save history to local storage
+   */
+  save() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.CARD_HISTORY, this.sessions);
+  }
+}
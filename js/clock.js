@@ -0,0 +1,15 @@
+/**
+ * Clock - Time source and timers for the game loop
+ * The game takes a clock so tests can drive it by hand instead of waiting.
+ */
+
+/**
+ * Clock backed by the real browser timers
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: (id) => clearInterval(id),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (id) => clearTimeout(id)
+};
@@ -5,32 +5,175 @@ export const GAME_CONFIG = {
   // Timer Durations
   COUNTDOWN_DURATION: 10,
   DEFAULT_ROUND_DURATION: 30,
+  STEAL_DURATION: 10,
+  // Timers check their deadline this often (ms); the last seconds show tenths
+  TIMER_TICK: 100,
+  TIMER_PRECISE_SECONDS: 5,
+  
+  // Swipe and tilt gestures on the game card
+  GESTURES: {
+    SWIPE_DISTANCE: 80,      // px across the card to count as a swipe
+    TILT_ANGLE: 45,          // degrees from upright to count as a tilt
+    TILT_RESET_ANGLE: 20,    // back within this of upright before the next tilt
+    COOLDOWN: 600,           // ms after a gesture before another is accepted
+    CARD_EXIT_DURATION: 250  // ms for the card to leave the screen
+  },
+  DEFAULT_GESTURES: { swipe: true, tilt: false },
+  
+  // Keyboard, presentation clicker and gamepad shortcuts. Keys are KeyboardEvent.key
+  // values (letters lower case); buttons are standard gamepad button indexes.
+  SHORTCUTS: {
+    correct: { label: 'Correct', keys: ['ArrowRight', 'PageDown', 'c'], buttons: [0, 15] },
+    pass: { label: 'Pass', keys: ['ArrowLeft', 'PageUp', 'p'], buttons: [1, 14] },
+    buzz: { label: 'Buzz', keys: ['b', '.'], buttons: [2] },
+    pause: { label: 'Pause / Continue', keys: [' ', 'Escape'], buttons: [9] },
+    skipCountdown: { label: 'Skip Countdown', keys: ['Enter'], buttons: [0] },
+    confirmReview: { label: 'Confirm Score', keys: ['Enter'], buttons: [3] },
+    help: { label: 'Show Shortcuts', keys: ['?', 'h'], buttons: [8] }
+  },
+  // Each of these only works on its own screen, so they may share a key or button
+  SHARED_SHORTCUTS: ['correct', 'skipCountdown', 'confirmReview'],
+  GAMEPAD_BUTTON_NAMES: [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start',
+    'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+  ],
   
   // Game Rules
-  MAX_ROUNDS_PER_TEAM: 3,
+  DEFAULT_BUZZ_PENALTY: 1,
+  DEFAULT_PASS_RULES: {
+    limit: 0,       // passes per turn, 0 for unlimited
+    penalty: 0,     // points deducted per pass
+    recycle: false  // passed cards return to the bottom of the deck
+  },
+  
+  // Card Difficulty (cards without one count as the default)
+  DIFFICULTIES: {
+    easy: { label: 'Easy', points: 1 },
+    medium: { label: 'Medium', points: 2 },
+    hard: { label: 'Hard', points: 3 }
+  },
+  DEFAULT_DIFFICULTY: 'medium',
+  
+  // Game Modes (same deck, timer and scoring pipeline, different rules)
+  GAME_MODES: {
+    classic: {
+      label: 'Classic',
+      icon: '🗣️',
+      instructions: 'Describe am, but no say the red words!',
+      duration: 30,
+      multiplier: 1,
+      showForbidden: true
+    },
+    oneWord: {
+      label: 'One Word',
+      icon: '☝️',
+      instructions: 'One word clue only! No red words.',
+      duration: 30,
+      multiplier: 2,
+      showForbidden: true
+    },
+    actAm: {
+      label: 'Act Am',
+      icon: '🎭',
+      instructions: 'No talking! Act it out.',
+      duration: 60,
+      multiplier: 2,
+      showForbidden: false
+    },
+    soundAm: {
+      label: 'Sound Am',
+      icon: '🥁',
+      instructions: 'Sound effects only. No words!',
+      duration: 60,
+      multiplier: 3,
+      showForbidden: false
+    }
+  },
+  // 'rotate' plays each mode in turn, one full round per mode
+  GAME_MODE_ROTATION: ['classic', 'oneWord', 'actAm', 'soundAm'],
   
-  // Team Colors
+  // Match Formats
+  MATCH_MODES: {
+    ROUNDS: 'rounds', // fixed number of turns per team
+    POINTS: 'points', // first team to reach the target score
+    DECK: 'deck'      // play until every card has been drawn
+  },
+  MATCH_LIMITS: {
+    rounds: { min: 1, max: 10, step: 1, default: 3 },
+    points: { min: 5, max: 100, step: 5, default: 20 }
+  },
+  
+  // Tournaments (two teams per match)
+  TOURNAMENT_FORMATS: {
+    KNOCKOUT: 'knockout',     // single elimination, top seeds get byes
+    ROUND_ROBIN: 'roundRobin' // every team plays every other team once
+  },
+  TOURNAMENT_LIMITS: { min: 4, max: 16, default: 8 },
+  
+  // Team Colors (first entries are the defaults, the rest are extra choices)
   TEAM_COLORS: [
     'var(--team1-color)', // blue
     'var(--team2-color)', // pink
     'var(--team3-color)', // orange
-    'var(--team4-color)'  // violet
+    'var(--team4-color)', // violet
+    'var(--team5-color)', // teal
+    'var(--team6-color)', // red
+    'var(--team7-color)', // amber
+    'var(--team8-color)'  // slate
   ],
   
-  // Audio Paths
-  AUDIO_PATHS: {
-    correct: './assets/sounds/correct.mp3',
-    timeup: './assets/sounds/timeup.mp3'
+  // Local Storage
+  STORAGE_KEYS: {
+    SAVED_GAME: 'dattin.savedGame',
+    CUSTOM_DECKS: 'dattin.customDecks',
+    CARD_HISTORY: 'dattin.cardHistory',
+    TOURNAMENT: 'dattin.tournament',
+    GAME_HISTORY: 'dattin.gameHistory',
+    GESTURES: 'dattin.gestures',
+    SHORTCUTS: 'dattin.shortcuts',
+    SOUND: 'dattin.sound'
+  },
+  
+  // Played cards from this many recent games are drawn last
+  HISTORY_SESSIONS: 5,
+  // Finished games kept for the history screen and leaderboard
+  GAME_HISTORY_LIMIT: 100,
+  SAVED_GAME_VERSION: 10,
+  
+  // Second-screen scoreboard (same browser profile)
+  SCOREBOARD_CHANNEL: 'dattin.scoreboard',
+  
+  // Phone-to-phone play (WebRTC, paired with codes; same network only)
+  PEER_CODE_PREFIX: 'DT1',
+  PEER_ICE_SERVERS: [],
+  PEER_GATHER_TIMEOUT: 3000,
+  
+  // Audio (volumes run from 0 to 1; packs are in sound-packs.js, voices in announcer.js)
+  DEFAULT_SOUND: { pack: 'naija', sfxVolume: 0.8, musicVolume: 0.5, voice: 'off' },
+  TICKING_SECONDS: 10,
+  // Backing music: tempo in beats per minute, times in seconds
+  MUSIC: {
+    TEMPO: 104,
+    MAX_TEMPO: 128,
+    RAMP_SECONDS: 10,   // speeds up over the last seconds of a turn
+    DUCK_LEVEL: 0.35,   // music level under a Correct stinger
+    DUCK_TIME: 0.6,
+    FADE_TIME: 1.5
   },
   
   // Game States
   STATES: {
     WELCOME: 'WELCOME',
     TEAM_SELECTION: 'TEAM_SELECTION',
+    TEAM_SETUP: 'TEAM_SETUP',
+    DECK_MANAGER: 'DECK_MANAGER',
     GET_READY: 'GET_READY',
     PLAYING: 'PLAYING',
     REVIEW: 'REVIEW',
+    STEAL: 'STEAL',
     ROUND_OVER: 'ROUND_OVER',
-    GAME_OVER: 'GAME_OVER'
+    GAME_OVER: 'GAME_OVER',
+    TOURNAMENT: 'TOURNAMENT',
+    HISTORY: 'HISTORY'
   }
 };
@@ -0,0 +1,334 @@
+/**
+ * Deck Manager - Custom deck storage, editing and import/export
+ */
+import { GAME_CONFIG } from './constants.js';
+import { readStorage, writeStorage } from './storage.js';
+import { downloadFile } from './utils.js';
+
+/**
+ * Cleans up a card, dropping it if it has no target word
+ * @param {Object} card - Card with targetWord, forbiddenWords and optional difficulty
+ * @returns {Object|null} - Normalized card or null
+ */
+export const normalizeCard = (card) => {
+  const targetWord = String(card?.targetWord ?? '').trim();
+  if (!targetWord) return null;
+
+  const forbiddenWords = (Array.isArray(card.forbiddenWords) ? card.forbiddenWords : [])
+    .map(word => String(word).trim())
+    .filter(Boolean);
+
+  return GAME_CONFIG.DIFFICULTIES[card.difficulty]
+    ? { targetWord, forbiddenWords, difficulty: card.difficulty }
+    : { targetWord, forbiddenWords };
+};
+
+/**
+ * Parses decks from JSON keyed by deck name ({ "My Deck": [cards] })
+ * A bare array of cards, like a data/decks file, is treated as a single deck.
+ * @param {string} text - JSON text
+ * @param {string} fallbackName - Deck name for a bare array
+ * @returns {Array} - Array of { name, cards }
+ */
+export const parseDeckJson = (text, fallbackName) => {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? [[fallbackName, data]] : Object.entries(data);
+
+  return entries
+    .filter(([, cards]) => Array.isArray(cards))
+    .map(([name, cards]) => ({ name, cards: cards.map(normalizeCard).filter(Boolean) }))
+    .filter(deck => deck.cards.length > 0);
+};
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parses a deck from CSV: one card per row, target word first, then forbidden words
+ * A header row with a difficulty column second (as cardsToCsv writes) reads
+ * each card's difficulty from that column.
+ * @param {string} text - CSV text
+ * @param {string} name - Deck name
+ * @returns {Array} - Array with a single { name, cards }, or empty if no cards
+ */
+export const parseDeckCsv = (text, name) => {
+  const rows = parseCsv(text);
+  const header = rows[0]?.map(field => field.trim().toLowerCase());
+  const hasHeader = header?.[0] === 'targetword';
+  const hasDifficulty = hasHeader && header[1] === 'difficulty';
+  if (hasHeader) {
+    rows.shift();
+  }
+
+  const cards = rows
+    .map(([targetWord, ...rest]) => {
+      const difficulty = hasDifficulty ? rest.shift()?.trim().toLowerCase() : undefined;
+      return normalizeCard({ targetWord, forbiddenWords: rest, difficulty });
+    })
+    .filter(Boolean);
+
+  return cards.length ? [{ name, cards }] : [];
+};
+
+/**
+ * Serializes cards to CSV with a header row
+ * Cards without a difficulty leave that column empty.
+ * @param {Array} cards - Array of cards
+ * @returns {string} - CSV text
+ */
+export const cardsToCsv = (cards) => {
+  const escapeField = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  const lines = cards.map(card =>
+    [card.targetWord, card.difficulty ?? '', ...card.forbiddenWords].map(escapeField).join(',')
+  );
+  return ['targetWord,difficulty,forbiddenWords', ...lines].join('\n');
+};
+
+export class DeckManager {
+  constructor(uiManager) {
+    this.ui = uiManager;
+    this.decks = readStorage(GAME_CONFIG.STORAGE_KEYS.CUSTOM_DECKS, []);
+    this.draft = null;
+    
+    // Called with the deck list whenever decks are saved, imported or deleted
+    this.onChange = null;
+  }
+
+  /**
+   * Show the deck list
+   */
+  open() {
+    this.draft = null;
+    this.renderList();
+  }
+
+  /**
+   * Render the list of custom decks
+   */
+  renderList() {
+    this.ui.renderDeckList(this.decks, {
+      onEdit: (id) => this.editDeck(id),
+      onDelete: (id) => this.deleteDeck(id),
+      onExportJson: (id) => this.exportDeck(id, 'json'),
+      onExportCsv: (id) => this.exportDeck(id, 'csv')
+    });
+    this.ui.showDeckPanel('list');
+  }
+
+  /**
+   * Start editing a new, empty deck
+   */
+  newDeck() {
+    this.draft = {
+      id: null,
+      name: '',
+      cards: [{ targetWord: '', forbiddenWords: [] }]
+    };
+    this.renderEditor();
+  }
+
+  /**
+   * Start editing a copy of an existing deck
+   * @param {string} id - Deck id
+   */
+  editDeck(id) {
+    const deck = this.decks.find(d => d.id === id);
+    if (!deck) return;
+    
+    this.draft = {
+      id: deck.id,
+      name: deck.name,
+      cards: deck.cards.map(card => ({ ...card, forbiddenWords: [...card.forbiddenWords] }))
+    };
+    this.renderEditor();
+  }
+
+  /**
+   * Render the editor for the current draft
+   */
+  renderEditor() {
+    this.ui.renderDeckEditor(this.draft, {
+      onRename: (name) => { this.draft.name = name; },
+      onCardChange: (index, card) => { this.draft.cards[index] = card; },
+      onRemoveCard: (index) => this.removeCard(index)
+    });
+    this.ui.showDeckPanel('edit');
+  }
+
+  /**
+   * Add a blank card to the draft
+   */
+  addCard() {
+    if (!this.draft) return;
+    this.draft.cards.push({ targetWord: '', forbiddenWords: [] });
+    this.renderEditor();
+  }
+
+  /**
+   * Remove a card from the draft
+   * @param {number} index - Card index
+   */
+  removeCard(index) {
+    if (!this.draft) return;
+    this.draft.cards.splice(index, 1);
+    this.renderEditor();
+  }
+
+  /**
+   * Validate and save the draft
+   */
+  saveDraft() {
+    if (!this.draft) return;
+    
+    const name = this.draft.name.trim();
+    const cards = this.draft.cards.map(normalizeCard).filter(Boolean);
+    
+    if (!name) {
+      alert('Please give your deck a name!');
+      return;
+    }
+    if (cards.length === 0) {
+      alert('Add at least one card with a word to guess!');
+      return;
+    }
+    
+    const existing = this.decks.find(d => d.id === this.draft.id);
+    if (existing) {
+      existing.name = name;
+      existing.cards = cards;
+    } else {
+      this.decks.push({ id: this.createDeckId(), name, cards });
+    }
+    
+    this.persist();
+    this.open();
+  }
+
+  /**
+   * Delete a custom deck
+   * @param {string} id - Deck id
+   */
+  deleteDeck(id) {
+    const deck = this.decks.find(d => d.id === id);
+    if (!deck || !confirm(`Delete the "${deck.name}" deck?`)) return;
+    
+    this.decks = this.decks.filter(d => d.id !== id);
+    this.persist();
+    this.renderList();
+  }
+
+  /**
+   * Download a deck as JSON (keyed by deck name) or CSV
+   * @param {string} id - Deck id
+   * @param {string} format - 'json' or 'csv'
+   */
+  exportDeck(id, format) {
+    const deck = this.decks.find(d => d.id === id);
+    if (!deck) return;
+    
+    const filename = deck.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'deck';
+    if (format === 'csv') {
+      downloadFile(`${filename}.csv`, cardsToCsv(deck.cards), 'text/csv');
+    } else {
+      const json = JSON.stringify({ [deck.name]: deck.cards }, null, 2);
+      downloadFile(`${filename}.json`, json, 'application/json');
+    }
+  }
+
+  /**
+   * Import decks from a JSON or CSV file
+   * @param {File} file - File chosen by the user
+   */
+  async importFile(file) {
+    if (!file) return;
+    
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    try {
+      const text = await file.text();
+      const imported = /\.csv$/i.test(file.name)
+        ? parseDeckCsv(text, baseName)
+        : parseDeckJson(text, baseName);
+      
+      if (imported.length === 0) {
+        alert('No cards found in that file.');
+        return;
+      }
+      
+      imported.forEach(deck => {
+        this.decks.push({ id: this.createDeckId(), name: deck.name, cards: deck.cards });
+      });
+      this.persist();
+      this.renderList();
+      alert(`Imported ${imported.length} deck${imported.length === 1 ? '' : 's'}!`);
+    } catch (error) {
+      console.error('Error importing deck:', error);
+      alert('Could not read that file. Use a JSON or CSV deck file.');
+    }
+  }
+
+  /**
+   * Create a unique id for a custom deck
+   * @returns {string}
+   */
+  createDeckId() {
+    let id;
+    do {
+      id = `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    } while (this.decks.some(d => d.id === id));
+    return id;
+  }
+
+  /**
+   * Save decks to local storage and notify listeners
+   */
+  persist() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.CUSTOM_DECKS, this.decks);
+    if (this.onChange) {
+      this.onChange(this.decks);
+    }
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * Event Emitter - Minimal publish/subscribe for game state events
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} - Unsubscribes the listener
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * Notify every listener of an event
+   * A failing listener is logged so it cannot break the game loop.
+   * @param {string} event - Event name
+   * @param {Object} payload - Event data
+   */
+  emit(event, payload = {}) {
+    this.listeners.get(event)?.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Game History - Finished games and the all-time leaderboard
+ */
+import { GAME_CONFIG } from './constants.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+
+export class GameHistory {
+  constructor(maxGames = GAME_CONFIG.GAME_HISTORY_LIMIT) {
+    this.maxGames = maxGames;
+
+    // Newest first
+    this.games = readStorage(GAME_CONFIG.STORAGE_KEYS.GAME_HISTORY, []);
+  }
+
+  /**
+   * Save a finished game, forgetting the oldest one past the limit
+   * @param {Object} game - Game record built by GameManager.recordGameHistory
+   */
+  record(game) {
+    this.games.unshift(game);
+    this.games = this.games.slice(0, this.maxGames);
+    this.save();
+  }
+
+  /**
+   * Build the leaderboard across every saved game
+   * Teams and players are matched by name, ignoring case.
+   * @param {string} by - 'team' or 'player'
+   * @returns {Array} - { name, games, wins, turns, average, bestRound }, best first
+   */
+  getLeaderboard(by) {
+    const rows = new Map();
+    const getRow = (name) => {
+      const key = name.trim().toLowerCase();
+      if (!rows.has(key)) {
+        rows.set(key, { name: name.trim(), games: 0, wins: 0, turns: 0, points: 0, bestRound: null });
+      }
+      return rows.get(key);
+    };
+
+    this.games.forEach(game => {
+      // Games and wins, for each team or each player on a team
+      game.teams.forEach((team, teamIndex) => {
+        const names = by === 'player' ? team.players : [team.name];
+        names.forEach(name => {
+          const row = getRow(name);
+          row.games++;
+          if (game.winnerIndex === teamIndex) {
+            row.wins++;
+          }
+        });
+      });
+
+      // Turns, credited to the describer when ranking players
+      game.rounds.forEach(round => {
+        const name = by === 'player' ? round.describer : game.teams[round.teamIndex].name;
+        if (!name) return;
+
+        const row = getRow(name);
+        row.turns++;
+        row.points += round.score;
+        row.bestRound = row.bestRound === null ? round.score : Math.max(row.bestRound, round.score);
+      });
+    });
+
+    return [...rows.values()]
+      .map(({ points, ...row }) => ({ ...row, average: row.turns ? points / row.turns : 0 }))
+      .sort((a, b) => b.wins - a.wins || b.average - a.average || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Forget every saved game
+   */
+  clear() {
+    this.games = [];
+    removeStorage(GAME_CONFIG.STORAGE_KEYS.GAME_HISTORY);
+  }
+
+  /**
+   * Save history to local storage
+   */
+  save() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.GAME_HISTORY, this.games);
+  }
+}
@@ -2,42 +2,129 @@
  * Game Manager - Core game logic and state management
  */
 import { GAME_CONFIG } from './constants.js';
-import { shuffleArray } from './utils.js';
+import { shuffleArray, loadDeckCards, hashSeed, createSeededRandom } from './utils.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+import { CardHistory } from './card-history.js';
+import { Tournament } from './tournament.js';
+import { GameHistory } from './game-history.js';
+import { EventEmitter } from './event-emitter.js';
+import { systemClock } from './clock.js';
 
-export class GameManager {
-  constructor(uiManager, soundManager, cardData) {
-    this.ui = uiManager;
-    this.sound = soundManager;
-    this.cardData = cardData;
+// Dialogs shown by the browser; tests pass their own answers
+const browserDialogs = {
+  alert: (message) => window.alert(message),
+  confirm: (message) => window.confirm(message)
+};
+
+/**
+ * Game state machine. It never touches the DOM: screens and sounds subscribe to
+ * its events instead.
+ *
+ * Setup events: stateChange, modeChange, matchFormatChange, decksChange,
+ * teamsChange, tournamentOptionsChange, bracketChange, tournamentChange,
+ * historyChange, cardHistoryReset and reshuffle.
+ *
+ * Game loop events: getReady, countdown, roundStart, roundRestore, card, tick, cardResult,
+ * timeUp, pause, review, reviewChange, stealCards, stealTick, stealAward,
+ * roundEnd, roundOver, gameOver, reset and resume. Only card, review,
+ * reviewChange and stealCards carry words, so the rest are safe to mirror.
+ */
+export class GameManager extends EventEmitter {
+  /**
+   * @param {Object} deckManifest - Parsed decks.json
+   * @param {Object} options - { clock, dialogs } to run without a browser
+   */
+  constructor(deckManifest, { clock = systemClock, dialogs = browserDialogs } = {}) {
+    super();
+    this.clock = clock;
+    this.dialogs = dialogs;
+    
+    // Decks: manifest metadata plus loaded cards keyed by deck id
+    this.deckCatalog = deckManifest.decks;
+    this.customDecks = [];
+    this.cardData = {};
+    this.isLoadingDecks = false;
+    this.cardHistory = new CardHistory();
+    
+    // Optional seed for a reproducible deck order
+    this.seed = '';
+    this.random = Math.random;
     
     // Game state
     this.state = GAME_CONFIG.STATES.WELCOME;
     this.roundDuration = GAME_CONFIG.DEFAULT_ROUND_DURATION;
+    this.gameMode = 'classic';
+    this.buzzPenalty = GAME_CONFIG.DEFAULT_BUZZ_PENALTY;
+    this.passRules = { ...GAME_CONFIG.DEFAULT_PASS_RULES };
+    this.passesUsed = 0;
+    this.difficultyFilter = new Set(Object.keys(GAME_CONFIG.DIFFICULTIES));
+    this.scoreByDifficulty = false;
+    this.matchFormat = {
+      mode: GAME_CONFIG.MATCH_MODES.ROUNDS,
+      rounds: GAME_CONFIG.MATCH_LIMITS.rounds.default,
+      targetPoints: GAME_CONFIG.MATCH_LIMITS.points.default
+    };
     this.roundScore = 0;
     this.timeLeft = this.roundDuration;
+    this.timeLeftMs = this.roundDuration * 1000;
     this.countdownTime = GAME_CONFIG.COUNTDOWN_DURATION;
     
-    // Timers
+    // Timers: the round ends at a wall-clock deadline, so slow ticks can't stretch it
+    this.roundDeadline = 0;
     this.timerInterval = null;
     this.countdownInterval = null;
+    this.stealInterval = null;
     
    // Cards
     this.shuffledCards = [];
     this.currentCardIndex = 0;
     this.roundCards = [];
+    this.unfinishedCard = null;
+    this.cardStartTime = 0; // timeLeft when the current card appeared
+    
+    // Steal phase
+    this.stealMode = false;
+    this.stealCards = [];
+    this.stealTimeLeft = 0;
+    this.stealTimeLeftMs = 0;
     
     // Teams
     this.numberOfTeams = 0;
     this.teams = [];
     this.currentTeamIndex = 0;
     this.totalRoundsCompleted = 0;
+    this.suddenDeathTeams = [];
+    
+    // Tournament: the stored bracket, the match being played and setup choices
+    this.tournament = Tournament.load();
+    this.tournamentMatchId = null;
+    this.tournamentFormat = GAME_CONFIG.TOURNAMENT_FORMATS.KNOCKOUT;
+    this.tournamentSize = GAME_CONFIG.TOURNAMENT_LIMITS.default;
+    this.isTournamentSetup = false;
+    
+    // Players
+    this.playerStats = [];
+    
+    // Finished games, plus the turns of the game in progress
+    this.gameHistory = new GameHistory();
+    this.roundLog = [];
+    this.historyView = 'games';
     
     // Deck selection
-    this.selectedDecks = new Set(['naija']);
+    const defaultDeck = this.deckCatalog.find(deck => deck.default) || this.deckCatalog[0];
+    this.selectedDecks = new Set(defaultDeck ? [defaultDeck.id] : []);
     
     // Pause state
     this.isPaused = false;
-    this.pauseOverlay = document.getElementById('pause-overlay');
+  }
+
+  /**
+   * Switch to another screen
+   * @param {string} state - One of GAME_CONFIG.STATES
+   */
+  showScreen(state) {
+    this.state = state;
+    this.emit('stateChange', { state });
   }
 
   /**
@@ -48,11 +135,224 @@ export class GameManager {
     this.roundDuration = duration;
   }
 
+  /**
+   * Set the game mode, switching the timer to the mode's default
+   * @param {string} mode - Key of GAME_CONFIG.GAME_MODES, or 'rotate'
+   */
+  setGameMode(mode) {
+    const config = GAME_CONFIG.GAME_MODES[mode];
+    if (!config && mode !== 'rotate') return;
+    
+    this.gameMode = mode;
+    if (config) {
+      this.setRoundDuration(config.duration);
+      this.emit('modeChange', { mode, duration: config.duration });
+    }
+  }
+
+  /**
+   * Get the mode for the current turn
+   * When rotating, every team plays one round of each mode in order.
+   * @returns {Object} - Mode config from GAME_CONFIG.GAME_MODES
+   */
+  getCurrentMode() {
+    if (this.gameMode !== 'rotate') {
+      return GAME_CONFIG.GAME_MODES[this.gameMode];
+    }
+    
+    const rotation = GAME_CONFIG.GAME_MODE_ROTATION;
+    const round = Math.floor(this.totalRoundsCompleted / this.numberOfTeams);
+    return GAME_CONFIG.GAME_MODES[rotation[round % rotation.length]];
+  }
+
+  /**
+   * Get the turn length, which follows each mode's own timer when rotating
+   * @returns {number} - Duration in seconds
+   */
+  getRoundDuration() {
+    return this.gameMode === 'rotate' ? this.getCurrentMode().duration : this.roundDuration;
+  }
+
+  /**
+   * Set the points deducted for saying a forbidden word
+   * @param {number} penalty - Points to deduct per buzz
+   */
+  setBuzzPenalty(penalty) {
+    this.buzzPenalty = penalty;
+  }
+
+  /**
+   * Set the maximum passes per turn
+   * @param {number} limit - Passes allowed per turn (0 for unlimited)
+   */
+  setPassLimit(limit) {
+    this.passRules.limit = limit;
+  }
+
+  /**
+   * Set the points deducted for each pass
+   * @param {number} penalty - Points to deduct per pass
+   */
+  setPassPenalty(penalty) {
+    this.passRules.penalty = penalty;
+  }
+
+  /**
+   * Choose whether passed cards go back to the bottom of the deck
+   * @param {boolean} recycle - True to return passed cards, false to burn them
+   */
+  setPassRecycle(recycle) {
+    this.passRules.recycle = recycle;
+  }
+
+  /**
+   * Get how many passes the describer has left this turn
+   * @returns {number|null} - Passes remaining, or null if unlimited
+   */
+  getPassesRemaining() {
+    if (!this.passRules.limit) return null;
+    return Math.max(0, this.passRules.limit - this.passesUsed);
+  }
+
+  /**
+   * Turn the steal phase for passed and unfinished cards on or off
+   * @param {boolean} enabled - Whether other teams can steal
+   */
+  setStealMode(enabled) {
+    this.stealMode = enabled;
+  }
+
+  /**
+   * Set the game seed (blank for a random deck order)
+   * @param {string} seed - Seed text
+   */
+  setSeed(seed) {
+    this.seed = seed.trim().toUpperCase();
+  }
+
+  /**
+   * Include or exclude a card difficulty
+   * @param {string} difficulty - Difficulty key ('easy', 'medium' or 'hard')
+   * @returns {boolean} - Whether the change was allowed
+   */
+  toggleDifficulty(difficulty) {
+    if (!GAME_CONFIG.DIFFICULTIES[difficulty]) return false;
+    
+    if (this.difficultyFilter.has(difficulty)) {
+      if (this.difficultyFilter.size === 1) return false; // Can't deselect last difficulty
+      this.difficultyFilter.delete(difficulty);
+    } else {
+      this.difficultyFilter.add(difficulty);
+    }
+    return true;
+  }
+
+  /**
+   * Choose between flat scoring and difficulty-weighted scoring
+   * @param {boolean} enabled - Whether cards score by difficulty
+   */
+  setScoreByDifficulty(enabled) {
+    this.scoreByDifficulty = enabled;
+  }
+
+  /**
+   * Get a card's difficulty, falling back to the default
+   * @param {Object} card - Card object
+   * @returns {string} - Difficulty key
+   */
+  getCardDifficulty(card) {
+    return GAME_CONFIG.DIFFICULTIES[card.difficulty] ? card.difficulty : GAME_CONFIG.DEFAULT_DIFFICULTY;
+  }
+
+  /**
+   * Get the points a card is worth when guessed, including the mode multiplier
+   * @param {Object} card - Card object
+   * @returns {number}
+   */
+  getCardPoints(card) {
+    const basePoints = this.scoreByDifficulty
+      ? GAME_CONFIG.DIFFICULTIES[this.getCardDifficulty(card)].points
+      : 1;
+    return basePoints * this.getCurrentMode().multiplier;
+  }
+
+  /**
+   * Set how the match is won
+   * @param {string} mode - One of GAME_CONFIG.MATCH_MODES
+   */
+  setMatchMode(mode) {
+    this.matchFormat.mode = mode;
+    this.emit('matchFormatChange', { matchFormat: this.matchFormat });
+  }
+
+  /**
+   * Step the round count or target score for the current match mode
+   * @param {number} direction - 1 to increase, -1 to decrease
+   */
+  adjustMatchTarget(direction) {
+    const { mode } = this.matchFormat;
+    const limits = GAME_CONFIG.MATCH_LIMITS[mode];
+    if (!limits) return;
+    
+    const key = mode === GAME_CONFIG.MATCH_MODES.ROUNDS ? 'rounds' : 'targetPoints';
+    const value = this.matchFormat[key] + direction * limits.step;
+    this.matchFormat[key] = Math.min(limits.max, Math.max(limits.min, value));
+    this.emit('matchFormatChange', { matchFormat: this.matchFormat });
+  }
+
+  /**
+   * Get every selectable deck: manifest decks first, then custom decks
+   * @returns {Array} - Deck metadata objects
+   */
+  getDeckList() {
+    return [...this.deckCatalog, ...this.customDecks];
+  }
+
+  /**
+   * Render the deck selector tiles
+   */
+  renderDeckOptions() {
+    this.emit('decksChange', { decks: this.getDeckList(), selectedDecks: this.selectedDecks });
+  }
+
+  /**
+   * Replace the custom decks available for selection
+   * Deleted decks are deselected; the first deck is selected if none remain.
+   * @param {Array} decks - Array of { id, name, cards }
+   */
+  setCustomDecks(decks) {
+    this.customDecks.forEach(deck => {
+      delete this.cardData[deck.id];
+      this.selectedDecks.delete(deck.id);
+    });
+    
+    this.customDecks = decks.map(deck => ({
+      id: deck.id,
+      name: deck.name,
+      icon: '🃏',
+      cardCount: deck.cards.length,
+      custom: true
+    }));
+    decks.forEach(deck => {
+      this.cardData[deck.id] = deck.cards;
+    });
+    
+    const deckList = this.getDeckList();
+    if (this.selectedDecks.size === 0 && deckList.length > 0) {
+      this.selectedDecks.add(deckList[0].id);
+    }
+    
+    this.renderDeckOptions();
+  }
+
   /**
    * Toggle deck selection
-   * @param {string} deck - Deck name ('naija' or 'global')
+   * Selecting a manifest deck starts loading its cards in the background.
+   * @param {string} deck - Deck id
    */
   toggleDeck(deck) {
+    if (!this.getDeckList().some(d => d.id === deck)) return false;
+    
     if (this.selectedDecks.has(deck)) {
       if (this.selectedDecks.size > 1) {
         this.selectedDecks.delete(deck);
@@ -61,86 +361,405 @@ export class GameManager {
       return false; // Can't deselect last deck
     } else {
       this.selectedDecks.add(deck);
+      this.loadDeck(deck);
       return true;
     }
   }
 
   /**
-   * Setup teams and start game
+   * Load a manifest deck's cards if they aren't loaded yet
+   * @param {string} id - Deck id
+   * @returns {Promise<void>}
+   */
+  async loadDeck(id) {
+    if (this.cardData[id]) return;
+    
+    const entry = this.deckCatalog.find(deck => deck.id === id);
+    if (!entry) return;
+    
+    const cards = await loadDeckCards(entry);
+    if (cards.length > 0) {
+      this.cardData[id] = cards;
+    }
+  }
+
+  /**
+   * Load the cards of every selected deck
+   * @returns {Promise<void>}
+   */
+  async loadSelectedDecks() {
+    await Promise.all([...this.selectedDecks].map(id => this.loadDeck(id)));
+  }
+
+  /**
+   * Prepare editable teams and show the team setup step
+   * Names, colors and players from the previous game are kept.
    * @param {number} teamCount - Number of teams
+   * @param {boolean} isTournament - Whether the teams are tournament entrants
    */
-  setupAndStartGame(teamCount) {
+  configureTeams(teamCount, isTournament = false) {
+    const colors = GAME_CONFIG.TEAM_COLORS;
     this.numberOfTeams = teamCount;
-    this.teams = [];
-    
-    for (let i = 0; i < this.numberOfTeams; i++) {
-      this.teams.push({
-        name: `Team ${i + 1}`,
+    this.isTournamentSetup = isTournament;
+    this.teams = Array.from({ length: teamCount }, (_, i) => {
+      const previous = this.teams[i];
+      return {
+        name: previous ? previous.name : `Team ${i + 1}`,
         score: 0,
-        color: GAME_CONFIG.TEAM_COLORS[i]
-      });
+        color: previous ? previous.color : colors[i % colors.length],
+        players: previous ? [...previous.players] : []
+      };
+    });
+    
+    this.renderTeamSetup();
+    this.showScreen(GAME_CONFIG.STATES.TEAM_SETUP);
+  }
+
+  /**
+   * Refresh the team editors
+   */
+  renderTeamSetup() {
+    this.emit('teamsChange', { teams: this.teams, isTournament: this.isTournamentSetup });
+  }
+
+  /**
+   * Rename a team
+   * @param {number} index - Team index
+   * @param {string} name - New team name
+   */
+  renameTeam(index, name) {
+    const team = this.teams[index];
+    if (team) {
+      team.name = name;
+    }
+  }
+
+  /**
+   * Change a team's color
+   * @param {number} index - Team index
+   * @param {string} color - CSS color value
+   */
+  setTeamColor(index, color) {
+    const team = this.teams[index];
+    if (team) {
+      team.color = color;
+      this.renderTeamSetup();
+    }
+  }
+
+  /**
+   * Add a player to a team roster
+   * @param {number} index - Team index
+   * @param {string} name - Player name
+   */
+  addPlayer(index, name) {
+    const team = this.teams[index];
+    const playerName = name.trim();
+    if (team && playerName) {
+      team.players.push(playerName);
+      this.renderTeamSetup();
     }
+  }
+
+  /**
+   * Remove a player from a team roster
+   * @param {number} index - Team index
+   * @param {number} playerIndex - Player index within the roster
+   */
+  removePlayer(index, playerIndex) {
+    const team = this.teams[index];
+    if (team) {
+      team.players.splice(playerIndex, 1);
+      this.renderTeamSetup();
+    }
+  }
+
+  /**
+   * Start the game with the configured teams
+   * @returns {Promise<void>}
+   */
+  async setupAndStartGame() {
+    if (this.isLoadingDecks) return;
+    
+    this.isLoadingDecks = true;
+    await this.loadSelectedDecks();
+    this.isLoadingDecks = false;
+    
+    this.teams.forEach((team, i) => {
+      team.name = team.name.trim() || `Team ${i + 1}`;
+      team.score = 0;
+      team.describerIndex = 0;
+    });
+    
+    this.playerStats = this.teams.flatMap((team, teamIndex) =>
+      team.players.map(name => ({ name, teamIndex, correct: 0, skipped: 0, buzzed: 0 }))
+    );
     
     this.currentTeamIndex = 0;
     this.totalRoundsCompleted = 0;
+    this.suddenDeathTeams = [];
+    this.roundLog = [];
+    
+    if (this.getActiveCards().length === 0) {
+      this.dialogs.alert('No cards match the selected decks and difficulty!');
+      return;
+    }
     
-    // Filter and shuffle cards based on selected decks
+    this.random = this.seed ? createSeededRandom(hashSeed(this.seed)) : Math.random;
+    this.cardHistory.startSession();
+    this.reshuffleDeck();
+    this.startCountdown();
+  }
+
+  /**
+   * Set the tournament format for the next tournament
+   * @param {string} format - One of GAME_CONFIG.TOURNAMENT_FORMATS
+   */
+  setTournamentFormat(format) {
+    this.tournamentFormat = format;
+    this.emit('tournamentOptionsChange', { format: this.tournamentFormat, size: this.tournamentSize });
+  }
+
+  /**
+   * Step the number of tournament teams up or down within its limits
+   * @param {number} direction - 1 to increase, -1 to decrease
+   */
+  adjustTournamentSize(direction) {
+    const { min, max } = GAME_CONFIG.TOURNAMENT_LIMITS;
+    this.tournamentSize = Math.min(max, Math.max(min, this.tournamentSize + direction));
+    this.emit('tournamentOptionsChange', { format: this.tournamentFormat, size: this.tournamentSize });
+  }
+
+  /**
+   * Show the team setup step for a new tournament
+   */
+  configureTournament() {
+    if (this.tournament && !this.dialogs.confirm('Start a new tournament? The current bracket will be lost.')) {
+      return;
+    }
+    this.configureTeams(this.tournamentSize, true);
+  }
+
+  /**
+   * Create the bracket from the configured teams, seeded in setup order
+   */
+  startTournament() {
+    this.teams.forEach((team, i) => {
+      team.name = team.name.trim() || `Team ${i + 1}`;
+    });
+    
+    this.isTournamentSetup = false;
+    this.tournament = Tournament.create(this.tournamentFormat, this.teams);
+    this.tournament.save();
+    this.showBracket();
+  }
+
+  /**
+   * Show the bracket between tournament matches
+   */
+  showBracket() {
+    if (!this.tournament) return;
+    
+    this.useTournamentRoster();
+    this.emit('bracketChange', { tournament: this.tournament });
+    this.showScreen(GAME_CONFIG.STATES.TOURNAMENT);
+  }
+
+  /**
+   * Put every entrant back in the team list so the next setup starts from them
+   */
+  useTournamentRoster() {
+    this.numberOfTeams = this.tournament.entrants.length;
+    this.teams = this.tournament.entrants.map(entrant => ({
+      ...entrant,
+      score: 0,
+      players: [...entrant.players]
+    }));
+  }
+
+  /**
+   * Play the next tournament match through the normal game loop
+   * @returns {Promise<void>}
+   */
+  async playTournamentMatch() {
+    const match = this.tournament?.getNextMatch();
+    if (!match) return;
+    
+    this.tournamentMatchId = match.id;
+    this.numberOfTeams = match.teams.length;
+    this.teams = match.teams.map(index => {
+      const entrant = this.tournament.entrants[index];
+      return { ...entrant, score: 0, players: [...entrant.players] };
+    });
+    
+    // Entrants past the eighth share colors, so keep the two sides apart
+    if (this.teams[0].color === this.teams[1].color) {
+      this.teams[1].color = GAME_CONFIG.TEAM_COLORS.find(color => color !== this.teams[0].color);
+    }
+    
+    await this.setupAndStartGame();
+  }
+
+  /**
+   * Close the tournament, asking first if matches are still to be played
+   */
+  endTournament() {
+    if (!this.tournament.isComplete() &&
+        !this.dialogs.confirm('Abandon this tournament? All results will be lost.')) {
+      return;
+    }
+    
+    Tournament.clear();
+    this.tournament = null;
+    this.emit('tournamentChange', { hasTournament: false });
+    this.showScreen(GAME_CONFIG.STATES.WELCOME);
+  }
+
+  /**
+   * Get all cards from the selected decks that match the difficulty filter
+   * Decks are taken in deck list order so seeded shuffles match across devices.
+   * @returns {Array} - Cards tagged with their deck as category
+   */
+  getActiveCards() {
     const activeCards = [];
-    this.selectedDecks.forEach(deck => {
+    const deckIds = this.getDeckList().map(d => d.id).filter(id => this.selectedDecks.has(id));
+    deckIds.forEach(deck => {
       if (this.cardData[deck]) {
-        activeCards.push(...this.cardData[deck].map(card => ({
-          ...card,
-          category: deck
-        })));
+        activeCards.push(...this.cardData[deck]
+          .filter(card => this.difficultyFilter.has(this.getCardDifficulty(card)))
+          .map(card => ({
+            ...card,
+            category: deck
+          })));
       }
     });
-    
-    if (activeCards.length === 0) {
-      alert('Please select at least one deck!');
+    return activeCards;
+  }
+
+  /**
+   * Shuffle the selected decks into a fresh draw pile
+   * Cards played in recent games go to the bottom of the pile, except in
+   * seeded games, where every device must draw the same order.
+   */
+  reshuffleDeck() {
+    const shuffled = shuffleArray(this.getActiveCards(), this.random);
+    if (this.seed) {
+      this.shuffledCards = shuffled;
+      this.currentCardIndex = 0;
       return;
     }
     
-    this.shuffledCards = shuffleArray(activeCards);
+    const recentlySeen = this.cardHistory.getRecentlySeen();
+    const isSeen = (card) => recentlySeen.has(CardHistory.getCardKey(card));
+    
+    this.shuffledCards = [
+      ...shuffled.filter(card => !isSeen(card)),
+      ...shuffled.filter(isSeen)
+    ];
     this.currentCardIndex = 0;
+  }
+
+  /**
+   * Forget which cards were played in previous games
+   */
+  resetCardHistory() {
+    this.cardHistory.reset();
+    this.emit('cardHistoryReset');
+  }
+
+  /**
+   * Check whether the draw pile is final (no reshuffling)
+   * Sudden death always reshuffles so a tie can still be broken.
+   * @returns {boolean}
+   */
+  isDeckLimited() {
+    return this.matchFormat.mode === GAME_CONFIG.MATCH_MODES.DECK && this.suddenDeathTeams.length === 0;
+  }
+
+  /**
+   * Get the number of cards left in the draw pile
+   * @returns {number}
+   */
+  getCardsRemaining() {
+    return Math.max(0, this.shuffledCards.length - this.currentCardIndex);
+  }
+
+  /**
+   * Get the player describing for the current team this turn
+   * @returns {string|null} - Player name, or null if the team has no roster
+   */
+  getCurrentDescriber() {
+    const team = this.teams[this.currentTeamIndex];
+    if (!team || team.players.length === 0) return null;
+    return team.players[team.describerIndex % team.players.length];
+  }
+
+  /**
+   * Add the reviewed round cards to the describer's tallies
+   */
+  recordDescriberStats() {
+    const describer = this.getCurrentDescriber();
+    const stats = this.playerStats.find(p =>
+      p.teamIndex === this.currentTeamIndex && p.name === describer
+    );
+    if (!stats) return;
     
-    this.startCountdown();
+    this.roundCards.forEach(card => {
+      if (card.status in stats) {
+        stats[card.status]++;
+      }
+    });
   }
 
   /**
    * Start countdown before round
    */
   startCountdown() {
-    this.state = GAME_CONFIG.STATES.GET_READY;
     this.countdownTime = GAME_CONFIG.COUNTDOWN_DURATION;
     
     const currentTeam = this.teams[this.currentTeamIndex];
-    this.ui.updateCountdown(this.countdownTime, currentTeam.name);
-    this.ui.renderScreen(this.state);
-    
-    clearInterval(this.countdownInterval);
-    this.sound.countdownBeep();
+    const describer = this.getCurrentDescriber();
+    this.showScreen(GAME_CONFIG.STATES.GET_READY);
+    this.emit('getReady', {
+      team: currentTeam,
+      describer,
+      mode: this.getCurrentMode(),
+      teams: this.teams
+    });
+    this.emit('countdown', { count: this.countdownTime, team: currentTeam, describer });
+    this.saveProgress();
     
-    this.countdownInterval = setInterval(() => {
-      this.countdownTime--;
-      this.ui.updateCountdown(this.countdownTime, currentTeam.name);
+    const deadline = this.clock.now() + this.countdownTime * 1000;
+    this.clock.clearInterval(this.countdownInterval);
+    this.countdownInterval = this.clock.setInterval(() => {
+      const count = Math.max(0, Math.ceil((deadline - this.clock.now()) / 1000));
+      if (count === this.countdownTime) return;
       
-      if (this.countdownTime > 0) {
-        this.sound.countdownBeep();
-      }
+      this.countdownTime = count;
+      this.emit('countdown', { count, team: currentTeam, describer });
       
-      if (this.countdownTime <= 0) {
-        clearInterval(this.countdownInterval);
-        this.sound.goBeep();
+      if (count <= 0) {
+        this.clock.clearInterval(this.countdownInterval);
         this.startRound();
       }
-    }, 1000);
+    }, GAME_CONFIG.TIMER_TICK);
+  }
+
+  /**
+   * Start the next team's countdown from the between-rounds scoreboard
+   */
+  startNextRound() {
+    if (this.state !== GAME_CONFIG.STATES.ROUND_OVER) return;
+    this.startCountdown();
   }
 
   /**
    * Skip countdown and start round immediately
    */
   skipCountdown() {
-    clearInterval(this.countdownInterval);
+    if (this.state !== GAME_CONFIG.STATES.GET_READY) return;
+    
+    this.clock.clearInterval(this.countdownInterval);
     this.startRound();
   }
 
@@ -148,40 +767,73 @@ export class GameManager {
    * Start a game round
    */
   startRound() {
-    this.state = GAME_CONFIG.STATES.PLAYING;
     this.isPaused = false;
-    
-    if (this.pauseOverlay) {
-      this.pauseOverlay.style.display = 'none';
-    }
-    
     this.roundCards = [];
+    this.unfinishedCard = null;
     this.roundScore = 0;
-    this.timeLeft = this.roundDuration;
+    this.passesUsed = 0;
+    this.timeLeft = this.getRoundDuration();
+    this.timeLeftMs = this.timeLeft * 1000;
     
-    const currentTeam = this.teams[this.currentTeamIndex];
-    this.ui.updateScore(this.roundScore);
-    this.ui.updateTimer(this.timeLeft);
-    this.ui.updateTeamIndicator(currentTeam.name, currentTeam.color);
-    this.ui.renderScreen(this.state);
+    this.showGameScreen();
+    this.saveProgress();
+    this.startRoundTimer();
+  }
+
+  /**
+   * Run the round timer towards a deadline set from the time left
+   */
+  startRoundTimer() {
+    this.roundDeadline = this.clock.now() + this.timeLeftMs;
+    this.clock.clearInterval(this.timerInterval);
+    this.timerInterval = this.clock.setInterval(() => this.updateTimer(), GAME_CONFIG.TIMER_TICK);
+  }
+
+  /**
+   * Show the game screen for the round in progress
+   * A paused turn restored from a save sends roundRestore instead of roundStart,
+   * so nothing starts playing over it.
+   */
+  showGameScreen() {
+    this.showScreen(GAME_CONFIG.STATES.PLAYING);
+    this.emit(this.isPaused ? 'roundRestore' : 'roundStart', {
+      team: this.teams[this.currentTeamIndex],
+      describer: this.getCurrentDescriber(),
+      mode: this.getCurrentMode(),
+      timeLeft: this.timeLeft,
+      timeLeftMs: this.timeLeftMs,
+      roundScore: this.roundScore,
+      passesRemaining: this.getPassesRemaining()
+    });
     this.updateCard();
-    
-    clearInterval(this.timerInterval);
-    this.timerInterval = setInterval(() => this.updateTimer(), 1000);
   }
 
   /**
-   * Update timer each second
+   * Recalculate the time left from the deadline
+   * Ticks go out once a second, then every check in the final seconds.
    */
   updateTimer() {
-    if (this.isPaused) return;
+    if (this.isPaused || this.state !== GAME_CONFIG.STATES.PLAYING) return;
     
-    this.timeLeft--;
-    this.ui.updateTimer(this.timeLeft);
+    const timeLeftMs = Math.max(0, this.roundDeadline - this.clock.now());
+    const timeLeft = Math.ceil(timeLeftMs / 1000);
+    const isNewSecond = timeLeft !== this.timeLeft;
+    this.timeLeftMs = timeLeftMs;
+    this.timeLeft = timeLeft;
     
-    if (this.timeLeft <= 0) {
-      this.sound.playTimeUp();
-      this.showReviewScreen();
+    if (isNewSecond || timeLeftMs <= GAME_CONFIG.TIMER_PRECISE_SECONDS * 1000) {
+      this.emit('tick', { timeLeft, timeLeftMs });
+    }
+    
+    if (timeLeftMs <= 0) {
+      this.unfinishedCard = this.shuffledCards[this.currentCardIndex] || null;
+      this.emit('timeUp');
+      this.finishTurn();
+      return;
+    }
+    
+    if (isNewSecond) {
+      this.saveProgress();
     }
   }
 
@@ -196,7 +848,8 @@ export class GameManager {
       return;
     }
     
-    this.ui.updateCard(card);
+    this.cardStartTime = this.timeLeft;
+    this.emit('card', { card, mode: this.getCurrentMode() });
   }
 
   /**
@@ -205,39 +858,46 @@ export class GameManager {
   nextCard() {
     this.currentCardIndex++;
     
-    // Reshuffle if we run out of cards
+    // Reshuffle if we run out of cards, or end the turn if the deck is the limit
     if (this.currentCardIndex >= this.shuffledCards.length) {
-      const activeCards = [];
-      this.selectedDecks.forEach(deck => {
-        if (this.cardData[deck]) {
-          activeCards.push(...this.cardData[deck].map(card => ({
-            ...card,
-            category: deck
-          })));
-        }
-      });
-      this.shuffledCards = shuffleArray(activeCards);
-      this.currentCardIndex = 0;
+      if (this.isDeckLimited()) {
+        this.emit('timeUp');
+        this.finishTurn();
+        return;
+      }
+      this.reshuffleDeck();
+      this.emit('reshuffle');
     }
     
     this.updateCard();
+    this.saveProgress();
   }
 
   /**
-   * Handle correct answer
+   * Add a played card to this round's results and the card history
+   * @param {Object} card - Card that was played
+   * @param {string} status - 'correct', 'skipped' or 'buzzed'
    */
-  handleCorrect() {
-    const card = this.shuffledCards[this.currentCardIndex];
-    if (!card) return;
-    
+  recordRoundCard(card, status) {
     this.roundCards.push({
       word: card.targetWord,
-      status: 'correct'
+      status,
+      points: this.getCardPoints(card),
+      seconds: this.cardStartTime - this.timeLeft
     });
+    this.cardHistory.markSeen(card);
+  }
+
+  /**
+   * Handle correct answer
+   */
+  handleCorrect() {
+    const card = this.shuffledCards[this.currentCardIndex];
+    if (!card || !this.isTurnRunning()) return;
     
-    this.roundScore++;
-    this.ui.updateScore(this.roundScore);
-    this.sound.playCorrect();
+    this.recordRoundCard(card, 'correct');
+    this.roundScore += this.getCardPoints(card);
+    this.emitCardResult('correct');
     this.nextCard();
   }
 
@@ -246,93 +906,449 @@ export class GameManager {
    */
   handlePass() {
     const card = this.shuffledCards[this.currentCardIndex];
-    if (!card) return;
+    if (!card || !this.isTurnRunning() || this.getPassesRemaining() === 0) return;
     
-    this.roundCards.push({
-      word: card.targetWord,
-      status: 'skipped'
-    });
+    this.recordRoundCard(card, 'skipped');
+    this.passesUsed++;
+    this.roundScore -= this.passRules.penalty;
+    
+    // Return the card to the bottom of the deck instead of burning it
+    if (this.passRules.recycle) {
+      this.shuffledCards.push(card);
+    }
     
+    this.emitCardResult('skipped');
     this.nextCard();
   }
 
+  /**
+   * Handle buzz (describer said a forbidden word)
+   */
+  handleBuzz() {
+    const card = this.shuffledCards[this.currentCardIndex];
+    if (!card || !this.isTurnRunning()) return;
+    
+    this.recordRoundCard(card, 'buzzed');
+    
+    this.roundScore -= this.buzzPenalty;
+    this.emitCardResult('buzzed');
+    this.nextCard();
+  }
+
+  /**
+   * Announce how the describer's last card went
+   * @param {string} status - 'correct', 'skipped' or 'buzzed'
+   */
+  emitCardResult(status) {
+    this.emit('cardResult', {
+      status,
+      roundScore: this.roundScore,
+      passesRemaining: this.getPassesRemaining()
+    });
+  }
+
+  /**
+   * Apply a button press from a linked scorekeeper phone
+   * @param {string} action - 'correct', 'pass', 'buzz' or 'pause'
+   */
+  handleRemoteAction(action) {
+    const actions = {
+      correct: () => this.handleCorrect(),
+      pass: () => this.handlePass(),
+      buzz: () => this.handleBuzz(),
+      pause: () => this.togglePause()
+    };
+    if (!actions[action] || this.state !== GAME_CONFIG.STATES.PLAYING) return;
+    if (this.isPaused && action !== 'pause') return;
+    
+    actions[action]();
+  }
+
+  /**
+   * Check whether cards can be scored right now
+   * @returns {boolean}
+   */
+  isTurnRunning() {
+    return this.state === GAME_CONFIG.STATES.PLAYING && !this.isPaused;
+  }
+
   /**
    * Toggle pause state
+   * The time used since the last tick is banked, so pausing loses no fraction of a second.
+   * @param {boolean} isAuto - Whether the game paused itself because the player left
    */
-  togglePause() {
+  togglePause(isAuto = false) {
     if (this.state !== GAME_CONFIG.STATES.PLAYING) return;
     
-    this.isPaused = !this.isPaused;
-    
     if (this.isPaused) {
-      clearInterval(this.timerInterval);
-      if (this.pauseOverlay) {
-        this.pauseOverlay.style.display = 'flex';
-      }
+      this.isPaused = false;
+      this.startRoundTimer();
     } else {
-      if (this.pauseOverlay) {
-        this.pauseOverlay.style.display = 'none';
-      }
-      this.timerInterval = setInterval(() => this.updateTimer(), 1000);
+      this.updateTimer();
+      if (this.state !== GAME_CONFIG.STATES.PLAYING) return; // Time ran out
+      
+      this.isPaused = true;
+      this.clock.clearInterval(this.timerInterval);
+    }
+    
+    this.saveProgress();
+    this.emit('pause', { isPaused: this.isPaused, isAuto: this.isPaused && isAuto });
+  }
+
+  /**
+   * React to the app being hidden or shown (another app, a phone call, screen lock)
+   * A running turn pauses until the players come back and continue it. A countdown
+   * stops and starts again from the top. A steal stops its clock until the app is back.
+   * @param {boolean} isHidden - Whether the app is now hidden
+   */
+  handleVisibilityChange(isHidden) {
+    switch (this.state) {
+      case GAME_CONFIG.STATES.PLAYING:
+        if (isHidden && !this.isPaused) {
+          this.togglePause(true);
+        }
+        break;
+      case GAME_CONFIG.STATES.GET_READY:
+        if (isHidden) {
+          this.clock.clearInterval(this.countdownInterval);
+        } else {
+          this.startCountdown();
+        }
+        break;
+      case GAME_CONFIG.STATES.STEAL:
+        if (isHidden) {
+          this.clock.clearInterval(this.stealInterval);
+        } else {
+          this.startStealTimer();
+        }
+        break;
     }
   }
 
+  /**
+   * End the running turn and go to review
+   * Time up and an exhausted deck can land together; only the first one counts.
+   */
+  finishTurn() {
+    if (this.state !== GAME_CONFIG.STATES.PLAYING) return;
+    this.showReviewScreen();
+  }
+
   /**
    * Show review screen
    */
   showReviewScreen() {
-    this.state = GAME_CONFIG.STATES.REVIEW;
-    clearInterval(this.timerInterval);
-    this.ui.renderScreen(this.state);
-    this.ui.showReviewScreen(this.roundCards, (index) => this.toggleCardStatus(index));
+    this.clock.clearInterval(this.timerInterval);
+    this.showScreen(GAME_CONFIG.STATES.REVIEW);
+    this.emit('review', {
+      team: this.teams[this.currentTeamIndex],
+      cards: this.roundCards,
+      score: this.calculateRoundScore()
+    });
+    this.saveProgress();
   }
 
   /**
-   * Toggle card status in review
+   * Cycle card status in review (correct -> skipped -> buzzed)
    * @param {number} index - Card index
    */
   toggleCardStatus(index) {
     const item = this.roundCards[index];
     if (item) {
-      item.status = item.status === 'correct' ? 'skipped' : 'correct';
-      this.ui.showReviewScreen(this.roundCards, (i) => this.toggleCardStatus(i));
+      const nextStatus = { correct: 'skipped', skipped: 'buzzed', buzzed: 'correct' };
+      item.status = nextStatus[item.status] || 'correct';
+      this.emit('reviewChange', { cards: this.roundCards, score: this.calculateRoundScore() });
+      this.saveProgress();
     }
   }
 
+  /**
+   * Calculate the round score from the reviewed cards
+   * @returns {number} - Points for correct cards minus buzz and pass penalties
+   */
+  calculateRoundScore() {
+    const points = this.roundCards
+      .filter(c => c.status === 'correct')
+      .reduce((total, c) => total + c.points, 0);
+    const buzzed = this.roundCards.filter(c => c.status === 'buzzed').length;
+    const skipped = this.roundCards.filter(c => c.status === 'skipped').length;
+    return points - buzzed * this.buzzPenalty - skipped * this.passRules.penalty;
+  }
+
   /**
    * Confirm score and end round
    */
   confirmScore() {
-    this.roundScore = this.roundCards.filter(c => c.status === 'correct').length;
+    if (this.state !== GAME_CONFIG.STATES.REVIEW) return;
+    
+    this.roundScore = this.calculateRoundScore();
+    this.recordDescriberStats();
+    
+    if (this.stealMode && this.startSteal()) return;
     this.endRound();
   }
 
+  /**
+   * Offer passed cards and the card left on screen to the other teams
+   * @returns {boolean} - Whether there was anything to steal
+   */
+  startSteal() {
+    this.stealCards = [];
+    const offer = (word, points) => {
+      if (!this.stealCards.some(card => card.word === word)) {
+        this.stealCards.push({ word, points, stolenBy: null });
+      }
+    };
+    this.roundCards
+      .filter(c => c.status === 'skipped')
+      .forEach(c => offer(c.word, c.points));
+    
+    // Passes recycled into the pile are used up by the steal instead
+    const isOffered = (card) => this.stealCards.some(c => c.word === card.targetWord);
+    const upcoming = this.currentCardIndex + 1;
+    this.shuffledCards = [
+      ...this.shuffledCards.slice(0, upcoming),
+      ...this.shuffledCards.slice(upcoming).filter(card => !isOffered(card))
+    ];
+    
+    // The card on screen at time up is used up by the steal
+    if (this.unfinishedCard) {
+      offer(this.unfinishedCard.targetWord, this.getCardPoints(this.unfinishedCard));
+      this.cardHistory.markSeen(this.unfinishedCard);
+      this.unfinishedCard = null;
+      this.currentCardIndex++;
+      if (this.currentCardIndex >= this.shuffledCards.length && !this.isDeckLimited()) {
+        this.reshuffleDeck();
+      }
+    }
+    
+    if (this.stealCards.length === 0) return false;
+    
+    this.stealTimeLeft = GAME_CONFIG.STEAL_DURATION;
+    this.stealTimeLeftMs = this.stealTimeLeft * 1000;
+    this.showStealScreen();
+    return true;
+  }
+
+  /**
+   * Render the steal screen and run its timer
+   */
+  showStealScreen() {
+    this.showScreen(GAME_CONFIG.STATES.STEAL);
+    this.renderStealCards();
+    this.emit('stealTick', { timeLeft: this.stealTimeLeft });
+    this.saveProgress();
+    this.startStealTimer();
+  }
+
+  /**
+   * Run the steal timer towards a deadline set from the time left
+   */
+  startStealTimer() {
+    const deadline = this.clock.now() + this.stealTimeLeftMs;
+    this.clock.clearInterval(this.stealInterval);
+    this.stealInterval = this.clock.setInterval(() => {
+      this.stealTimeLeftMs = Math.max(0, deadline - this.clock.now());
+      const timeLeft = Math.ceil(this.stealTimeLeftMs / 1000);
+      if (timeLeft === this.stealTimeLeft) return;
+      
+      this.stealTimeLeft = timeLeft;
+      this.emit('stealTick', { timeLeft });
+      
+      if (timeLeft <= 0) {
+        this.emit('timeUp');
+        this.finishSteal();
+        return;
+      }
+      this.saveProgress();
+    }, GAME_CONFIG.TIMER_TICK);
+  }
+
+  /**
+   * Refresh the steal cards and the teams that can claim them
+   */
+  renderStealCards() {
+    const stealingTeams = this.getStealingTeamIndexes()
+      .map(index => ({ ...this.teams[index], index }));
+    this.emit('stealCards', { cards: this.stealCards, teams: stealingTeams });
+  }
+
+  /**
+   * Get the teams that can steal this turn's cards (only the tied teams in sudden death)
+   * @returns {Array<number>} - Team indexes
+   */
+  getStealingTeamIndexes() {
+    const contenders = this.suddenDeathTeams.length
+      ? this.suddenDeathTeams
+      : this.teams.map((_, i) => i);
+    return contenders.filter(i => i !== this.currentTeamIndex);
+  }
+
+  /**
+   * Give a steal card to a team, or take it back if already theirs
+   * @param {number} cardIndex - Steal card index
+   * @param {number} teamIndex - Stealing team index
+   */
+  awardSteal(cardIndex, teamIndex) {
+    const card = this.stealCards[cardIndex];
+    if (!card || this.state !== GAME_CONFIG.STATES.STEAL) return;
+    if (!this.getStealingTeamIndexes().includes(teamIndex)) return;
+    
+    card.stolenBy = card.stolenBy === teamIndex ? null : teamIndex;
+    this.emit('stealAward', { cardIndex, stolenBy: card.stolenBy });
+    this.renderStealCards();
+    this.saveProgress();
+  }
+
+  /**
+   * Bank stolen points and move on to the end of the round
+   */
+  finishSteal() {
+    if (this.state !== GAME_CONFIG.STATES.STEAL) return;
+    
+    this.clock.clearInterval(this.stealInterval);
+    const stolen = this.stealCards.filter(card => card.stolenBy !== null);
+    stolen.forEach(card => {
+      this.teams[card.stolenBy].score += card.points;
+    });
+    this.stealCards = [];
+    this.endRound(stolen);
+  }
+
   /**
    * End the current round
+   * @param {Array} stolen - Cards other teams stole this turn
    */
-  endRound() {
-    clearInterval(this.timerInterval);
-    this.teams[this.currentTeamIndex].score += this.roundScore;
-    this.currentTeamIndex = (this.currentTeamIndex + 1) % this.numberOfTeams;
+  endRound(stolen = []) {
+    this.clock.clearInterval(this.timerInterval);
+    const team = this.teams[this.currentTeamIndex];
+    
+    // Log the turn for game history
+    const wordsWithStatus = (status) => this.roundCards
+      .filter(card => card.status === status)
+      .map(card => card.word);
+    const fastest = this.roundCards
+      .filter(card => card.status === 'correct')
+      .reduce((best, card) => (!best || card.seconds < best.seconds ? card : best), null);
+    this.roundLog.push({
+      teamIndex: this.currentTeamIndex,
+      describer: this.getCurrentDescriber(),
+      score: this.roundScore,
+      correct: wordsWithStatus('correct'),
+      skipped: wordsWithStatus('skipped'),
+      buzzed: wordsWithStatus('buzzed'),
+      stolen: stolen.map(card => ({ word: card.word, teamIndex: card.stolenBy })),
+      fastest: fastest && { word: fastest.word, seconds: fastest.seconds }
+    });
+    
+    team.score += this.roundScore;
+    team.describerIndex++;
     this.totalRoundsCompleted++;
+    const cycleComplete = this.advanceTeam();
+    this.emit('roundEnd', { team, roundScore: this.roundScore, teams: this.teams });
     
-    // Check if game is over
-    if (this.totalRoundsCompleted >= this.numberOfTeams * GAME_CONFIG.MAX_ROUNDS_PER_TEAM) {
-      this.showFinalWinner();
-      return;
+    // Check if game is over, going to sudden death if the lead is shared
+    if (this.isMatchOver(cycleComplete)) {
+      const leaders = this.getLeadingTeamIndexes();
+      if (leaders.length === 1) {
+        this.showFinalWinner();
+        return;
+      }
+      this.startSuddenDeath(leaders);
     }
     
-    this.state = GAME_CONFIG.STATES.ROUND_OVER;
-    this.ui.updateScoreboard(this.teams);
-    this.ui.renderScreen(this.state);
+    this.showRoundOver();
+  }
+
+  /**
+   * Pass the turn to the next team, limited to the tied teams in sudden death
+   * @returns {boolean} - Whether every team in the rotation has now played
+   */
+  advanceTeam() {
+    const rotation = this.suddenDeathTeams.length
+      ? this.suddenDeathTeams
+      : this.teams.map((_, i) => i);
+    const position = rotation.indexOf(this.currentTeamIndex) + 1;
+    this.currentTeamIndex = rotation[position % rotation.length];
+    return position === rotation.length;
+  }
+
+  /**
+   * Check the match format's end condition
+   * Except for a finished deck, teams always get an equal number of turns.
+   * @param {boolean} cycleComplete - Whether every team has just played
+   * @returns {boolean}
+   */
+  isMatchOver(cycleComplete) {
+    if (this.isDeckLimited() && this.getCardsRemaining() === 0) return true;
+    if (!cycleComplete) return false;
+    if (this.suddenDeathTeams.length) return true;
+    
+    switch (this.matchFormat.mode) {
+      case GAME_CONFIG.MATCH_MODES.POINTS:
+        return this.teams.some(team => team.score >= this.matchFormat.targetPoints);
+      case GAME_CONFIG.MATCH_MODES.DECK:
+        return false;
+      default:
+        return this.totalRoundsCompleted >= this.numberOfTeams * this.matchFormat.rounds;
+    }
+  }
+
+  /**
+   * Get the teams sharing the top score (among the tied teams in sudden death)
+   * @returns {Array<number>} - Team indexes
+   */
+  getLeadingTeamIndexes() {
+    const contenders = this.suddenDeathTeams.length
+      ? this.suddenDeathTeams
+      : this.teams.map((_, i) => i);
+    const topScore = Math.max(...contenders.map(i => this.teams[i].score));
+    return contenders.filter(i => this.teams[i].score === topScore);
+  }
+
+  /**
+   * Give each tied team one more turn until the tie is broken
+   * @param {Array<number>} teamIndexes - Tied team indexes
+   */
+  startSuddenDeath(teamIndexes) {
+    this.suddenDeathTeams = teamIndexes;
+    this.currentTeamIndex = teamIndexes[0];
+    
+    if (this.getCardsRemaining() === 0) {
+      this.reshuffleDeck();
+    }
+  }
+
+  /**
+   * Show the between-rounds scoreboard
+   */
+  showRoundOver() {
+    this.showScreen(GAME_CONFIG.STATES.ROUND_OVER);
+    this.emit('roundOver', {
+      teams: this.teams,
+      isSuddenDeath: this.suddenDeathTeams.length > 0,
+      nextTeam: this.teams[this.currentTeamIndex],
+      progress: this.getMatchProgressLabel()
+    });
+    this.saveProgress();
+  }
+
+  /**
+   * Describe how far the match has progressed for the next turn
+   * @returns {string}
+   */
+  getMatchProgressLabel() {
+    if (this.suddenDeathTeams.length) return 'Sudden Death';
     
-    // Update next round button text
-    const nextRoundBtn = document.getElementById('next-round-btn');
-    if (nextRoundBtn) {
-      const nextTeamName = this.teams[this.currentTeamIndex].name;
-      const currentRound = Math.floor(this.totalRoundsCompleted / this.numberOfTeams) + 1;
-      nextRoundBtn.textContent = 
-        `Start ${nextTeamName}'s Turn (Round ${currentRound}/${GAME_CONFIG.MAX_ROUNDS_PER_TEAM})`;
+    switch (this.matchFormat.mode) {
+      case GAME_CONFIG.MATCH_MODES.POINTS:
+        return `First to ${this.matchFormat.targetPoints}`;
+      case GAME_CONFIG.MATCH_MODES.DECK:
+        return `${this.getCardsRemaining()} cards left`;
+      default: {
+        const currentRound = Math.floor(this.totalRoundsCompleted / this.numberOfTeams) + 1;
+        return `Round ${currentRound}/${this.matchFormat.rounds}`;
+      }
     }
   }
 
@@ -340,40 +1356,321 @@ export class GameManager {
    * Show final winner screen
    */
   showFinalWinner() {
-    this.state = GAME_CONFIG.STATES.GAME_OVER;
-    this.ui.updateFinalScoreboard(this.teams);
-    this.ui.renderScreen(this.state);
+    this.showScreen(GAME_CONFIG.STATES.GAME_OVER);
+    
+    // Tournament matches send their result to the bracket
+    if (this.tournamentMatchId) {
+      this.tournament.recordResult(this.tournamentMatchId, this.teams.map(team => team.score));
+    }
+    
+    this.recordGameHistory();
+    this.discardSavedGame();
+    this.emit('gameOver', {
+      teams: this.teams,
+      playerStats: this.playerStats,
+      isTournamentMatch: Boolean(this.tournamentMatchId)
+    });
+  }
+
+  /**
+   * Save the finished game to the game history
+   */
+  recordGameHistory() {
+    const deckNames = this.getDeckList()
+      .filter(deck => this.selectedDecks.has(deck.id))
+      .map(deck => deck.name);
+    
+    this.gameHistory.record({
+      playedAt: this.clock.now(),
+      decks: deckNames,
+      roundDuration: this.roundDuration,
+      gameMode: this.gameMode,
+      matchFormat: this.matchFormat,
+      isTournamentMatch: Boolean(this.tournamentMatchId),
+      teams: this.teams.map(team => ({
+        name: team.name,
+        color: team.color,
+        score: team.score,
+        players: [...team.players]
+      })),
+      winnerIndex: this.getLeadingTeamIndexes()[0],
+      rounds: this.roundLog
+    });
+  }
+
+  /**
+   * Summarize the finished game for the results card
+   * @returns {Object} - { teams (best first), bestRound, fastest, playedAt, isTournamentMatch }
+   */
+  getResultSummary() {
+    const teamName = (round) => this.teams[round.teamIndex].name;
+    const bestRound = this.roundLog.reduce((best, round) =>
+      (!best || round.score > best.score ? round : best), null);
+    const fastestRound = this.roundLog
+      .filter(round => round.fastest)
+      .reduce((best, round) =>
+        (!best || round.fastest.seconds < best.fastest.seconds ? round : best), null);
+    
+    return {
+      teams: [...this.teams].sort((a, b) => b.score - a.score),
+      bestRound: bestRound && {
+        teamName: teamName(bestRound),
+        describer: bestRound.describer,
+        score: bestRound.score
+      },
+      fastest: fastestRound && { ...fastestRound.fastest, teamName: teamName(fastestRound) },
+      playedAt: this.clock.now(),
+      isTournamentMatch: Boolean(this.tournamentMatchId)
+    };
+  }
+
+  /**
+   * Show the history screen
+   * @param {string} view - 'games', 'team' or 'player'
+   */
+  showHistory(view = this.historyView) {
+    this.historyView = view;
+    
+    const leaderboard = view === 'games' ? [] : this.gameHistory.getLeaderboard(view);
+    this.emit('historyChange', { view, games: this.gameHistory.games, leaderboard });
+    this.showScreen(GAME_CONFIG.STATES.HISTORY);
+  }
+
+  /**
+   * Delete the game history after confirming
+   */
+  clearHistory() {
+    if (this.dialogs.confirm('Delete all past games and the leaderboard?')) {
+      this.gameHistory.clear();
+      this.showHistory();
+    }
+  }
+
+  /**
+   * Leave the game over screen, back to the bracket after a tournament match
+   */
+  playAgain() {
+    if (this.tournamentMatchId && this.tournament) {
+      this.tournamentMatchId = null;
+      this.showBracket();
+      return;
+    }
+    this.resetGame();
   }
 
   /**
    * Reset game to team selection
    */
   resetGame() {
-    clearInterval(this.timerInterval);
-    clearInterval(this.countdownInterval);
-    this.state = GAME_CONFIG.STATES.TEAM_SELECTION;
+    this.stopTimers();
+    this.discardSavedGame();
+    if (this.tournamentMatchId && this.tournament) {
+      this.useTournamentRoster();
+    }
+    this.tournamentMatchId = null;
+    this.isTournamentSetup = false;
     this.totalRoundsCompleted = 0;
-    this.ui.renderScreen(this.state);
+    this.suddenDeathTeams = [];
+    this.isPaused = false;
+    this.showScreen(GAME_CONFIG.STATES.TEAM_SELECTION);
+    this.emit('reset');
   }
 
   /**
    * Quit game and return to welcome screen
    */
   quitGame() {
-    if (confirm('Are you sure you want to quit? Your progress will be lost.')) {
-      clearInterval(this.timerInterval);
-      clearInterval(this.countdownInterval);
+    if (this.dialogs.confirm('Are you sure you want to quit? Your progress will be lost.')) {
+      this.stopTimers();
+      this.discardSavedGame();
       this.isPaused = false;
-      
-      if (this.pauseOverlay) {
-        this.pauseOverlay.style.display = 'none';
-      }
-      
-      this.state = GAME_CONFIG.STATES.WELCOME;
+      this.tournamentMatchId = null;
       this.totalRoundsCompleted = 0;
       this.currentCardIndex = 0;
       this.roundScore = 0;
-      this.ui.renderScreen(this.state);
+      this.showScreen(GAME_CONFIG.STATES.WELCOME);
+      this.emit('tournamentChange', { hasTournament: Boolean(this.tournament) });
+      this.emit('reset');
     }
   }
+
+  /**
+   * Stop the countdown, round and steal timers
+   */
+  stopTimers() {
+    this.clock.clearInterval(this.timerInterval);
+    this.clock.clearInterval(this.countdownInterval);
+    this.clock.clearInterval(this.stealInterval);
+  }
+
+  /**
+   * Build a snapshot of the game in progress
+   * @returns {Object} - JSON-serializable game state
+   */
+  serializeState() {
+    return {
+      version: GAME_CONFIG.SAVED_GAME_VERSION,
+      savedAt: this.clock.now(),
+      state: this.state,
+      roundDuration: this.roundDuration,
+      gameMode: this.gameMode,
+      buzzPenalty: this.buzzPenalty,
+      passRules: this.passRules,
+      passesUsed: this.passesUsed,
+      difficultyFilter: [...this.difficultyFilter],
+      scoreByDifficulty: this.scoreByDifficulty,
+      seed: this.seed,
+      randomState: this.seed ? this.random.getState() : null,
+      matchFormat: this.matchFormat,
+      suddenDeathTeams: this.suddenDeathTeams,
+      tournamentMatchId: this.tournamentMatchId,
+      selectedDecks: [...this.selectedDecks],
+      numberOfTeams: this.numberOfTeams,
+      teams: this.teams,
+      currentTeamIndex: this.currentTeamIndex,
+      totalRoundsCompleted: this.totalRoundsCompleted,
+      playerStats: this.playerStats,
+      roundLog: this.roundLog,
+      shuffledCards: this.shuffledCards,
+      currentCardIndex: this.currentCardIndex,
+      roundCards: this.roundCards,
+      unfinishedCard: this.unfinishedCard,
+      stealMode: this.stealMode,
+      stealCards: this.stealCards,
+      stealTimeLeft: this.stealTimeLeft,
+      roundScore: this.roundScore,
+      timeLeft: this.timeLeft,
+      timeLeftMs: this.timeLeftMs,
+      isPaused: this.isPaused
+    };
+  }
+
+  /**
+   * Snapshot the game in progress to local storage
+   */
+  saveProgress() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME, this.serializeState());
+  }
+
+  /**
+   * Read the saved game snapshot, ignoring ones from older versions
+   * @returns {Object|null} - Saved snapshot or null
+   */
+  getSavedGame() {
+    const snapshot = readStorage(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME);
+    if (!snapshot || snapshot.version !== GAME_CONFIG.SAVED_GAME_VERSION) {
+      return null;
+    }
+    return snapshot;
+  }
+
+  /**
+   * Check whether there is a game to continue
+   * @returns {boolean}
+   */
+  hasSavedGame() {
+    return this.getSavedGame() !== null;
+  }
+
+  /**
+   * Delete the saved game snapshot
+   */
+  discardSavedGame() {
+    removeStorage(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME);
+  }
+
+  /**
+   * Restore the saved game and return to the screen it was on
+   * A round that was running when the app closed comes back paused.
+   * @returns {Promise<boolean>} - Whether a game was restored
+   */
+  async resumeSavedGame() {
+    const snapshot = this.getSavedGame();
+    if (!snapshot) return false;
+    
+    this.stopTimers();
+    
+    this.roundDuration = snapshot.roundDuration;
+    this.gameMode = snapshot.gameMode;
+    this.buzzPenalty = snapshot.buzzPenalty;
+    this.passRules = snapshot.passRules;
+    this.passesUsed = snapshot.passesUsed;
+    this.difficultyFilter = new Set(snapshot.difficultyFilter);
+    this.scoreByDifficulty = snapshot.scoreByDifficulty;
+    this.seed = snapshot.seed;
+    this.random = snapshot.seed ? createSeededRandom(snapshot.randomState) : Math.random;
+    this.matchFormat = snapshot.matchFormat;
+    this.suddenDeathTeams = snapshot.suddenDeathTeams;
+    this.tournamentMatchId = snapshot.tournamentMatchId;
+    this.selectedDecks = new Set(snapshot.selectedDecks);
+    this.renderDeckOptions();
+    await this.loadSelectedDecks();
+    this.numberOfTeams = snapshot.numberOfTeams;
+    this.teams = snapshot.teams;
+    this.currentTeamIndex = snapshot.currentTeamIndex;
+    this.totalRoundsCompleted = snapshot.totalRoundsCompleted;
+    this.playerStats = snapshot.playerStats;
+    this.roundLog = snapshot.roundLog;
+    this.shuffledCards = snapshot.shuffledCards;
+    this.currentCardIndex = snapshot.currentCardIndex;
+    this.roundCards = snapshot.roundCards;
+    this.unfinishedCard = snapshot.unfinishedCard;
+    this.stealMode = snapshot.stealMode;
+    this.stealCards = snapshot.stealCards;
+    this.stealTimeLeft = snapshot.stealTimeLeft;
+    this.stealTimeLeftMs = snapshot.stealTimeLeft * 1000;
+    this.roundScore = snapshot.roundScore;
+    this.timeLeft = snapshot.timeLeft;
+    this.timeLeftMs = snapshot.timeLeftMs;
+    this.isPaused = false;
+    
+    switch (snapshot.state) {
+      case GAME_CONFIG.STATES.PLAYING:
+        this.isPaused = true;
+        this.showGameScreen();
+        this.emit('pause', { isPaused: true, isAuto: true });
+        break;
+      case GAME_CONFIG.STATES.REVIEW:
+        this.showReviewScreen();
+        break;
+      case GAME_CONFIG.STATES.STEAL:
+        this.showStealScreen();
+        break;
+      case GAME_CONFIG.STATES.ROUND_OVER:
+        this.showRoundOver();
+        break;
+      default:
+        this.startCountdown();
+    }
+    
+    this.emit('resume', this.getPublicState());
+    return true;
+  }
+
+  /**
+   * Get the card on screen, for a linked scorekeeper to police
+   * @returns {Object|null} - { targetWord, forbiddenWords } during a turn
+   */
+  getCurrentCard() {
+    const card = this.shuffledCards[this.currentCardIndex];
+    if (this.state !== GAME_CONFIG.STATES.PLAYING || !card) return null;
+    return { targetWord: card.targetWord, forbiddenWords: card.forbiddenWords };
+  }
+
+  /**
+   * Describe the game for other screens, leaving out the cards
+   * @returns {Object} - { state, teams, team, describer, mode, timeLeft, roundScore, isPaused }
+   */
+  getPublicState() {
+    return {
+      state: this.state,
+      teams: this.teams,
+      team: this.teams[this.currentTeamIndex] || null,
+      describer: this.getCurrentDescriber(),
+      mode: this.getCurrentMode(),
+      timeLeft: this.timeLeft,
+      roundScore: this.roundScore,
+      isPaused: this.isPaused
+    };
+  }
 }
@@ -0,0 +1,223 @@
+/**
+ * Gesture Controls - Swipe the card or tilt the phone to score it
+ * Swipe right or tilt the screen down for Correct; swipe left or tilt it up to Pass.
+ */
+import { GAME_CONFIG } from './constants.js';
+import { animateElement } from './utils.js';
+import { readStorage, writeStorage } from './storage.js';
+import { systemClock } from './clock.js';
+
+const { GESTURES } = GAME_CONFIG;
+
+/**
+ * Work out how far the screen is tilted from upright
+ * @param {number|null} beta - Front-to-back rotation in degrees
+ * @param {number|null} gamma - Left-to-right rotation in degrees
+ * @param {number} angle - Screen orientation angle (0, 90, 180 or 270)
+ * @returns {number|null} - Degrees past upright, positive when the screen faces the floor
+ */
+export const getTiltPitch = (beta, gamma, angle = 0) => {
+  if (beta === null || gamma === null || beta === undefined || gamma === undefined) return null;
+
+  // Held sideways, gamma flips sign at upright, so beta tells which way it leans
+  if (Math.abs(angle) === 90 || angle === 270) {
+    const lean = 90 - Math.abs(gamma);
+    return Math.abs(beta) > 90 ? lean : -lean;
+  }
+
+  const pitch = angle === 180 ? -90 - beta : beta - 90;
+  return ((pitch + 540) % 360) - 180;
+};
+
+export class GestureControls {
+  /**
+   * @param {GameManager} game - Game to score cards in
+   * @param {HTMLElement} card - The game card element
+   * @param {Object} options - { clock } to run without a browser
+   */
+  constructor(game, card, { clock = systemClock } = {}) {
+    this.game = game;
+    this.card = card;
+    this.clock = clock;
+    this.settings = {
+      ...GAME_CONFIG.DEFAULT_GESTURES,
+      ...readStorage(GAME_CONFIG.STORAGE_KEYS.GESTURES, {})
+    };
+
+    this.drag = null;
+    this.isExiting = false;
+    this.cooldownUntil = 0;
+    this.tiltArmed = false;
+    this.handleDeviceOrientation = (e) => this.handleOrientation(e.beta, e.gamma, getScreenAngle());
+
+    if (card) {
+      card.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+      card.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+      card.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+      card.addEventListener('pointercancel', () => this.cancelDrag());
+      card.classList.toggle('swipeable', this.settings.swipe);
+    }
+    if (this.settings.tilt) {
+      this.listenForTilt(true);
+    }
+  }
+
+  /**
+   * Turn swiping the card on or off
+   * @param {boolean} enabled - Whether swipes score cards
+   */
+  setSwipe(enabled) {
+    this.settings.swipe = enabled;
+    this.card?.classList.toggle('swipeable', enabled);
+    if (!enabled) this.cancelDrag();
+    this.save();
+  }
+
+  /**
+   * Turn tilt controls on or off, asking for motion access where the browser needs it
+   * @param {boolean} enabled - Whether tilting scores cards
+   * @returns {Promise<boolean>} - Whether tilt controls are now on
+   */
+  async setTilt(enabled) {
+    if (enabled) {
+      if (!('DeviceOrientationEvent' in window)) return false;
+
+      // iOS only hands out motion data after asking during a tap
+      if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+          if (await DeviceOrientationEvent.requestPermission() !== 'granted') return false;
+        } catch (error) {
+          console.error('Error requesting motion access:', error);
+          return false;
+        }
+      }
+    }
+
+    this.settings.tilt = enabled;
+    this.listenForTilt(enabled);
+    this.save();
+    return enabled;
+  }
+
+  /**
+   * Start or stop listening to the phone's orientation
+   * @param {boolean} listen - Whether to listen
+   */
+  listenForTilt(listen) {
+    window.removeEventListener('deviceorientation', this.handleDeviceOrientation);
+    this.tiltArmed = false;
+    if (listen) {
+      window.addEventListener('deviceorientation', this.handleDeviceOrientation);
+    }
+  }
+
+  /**
+   * Persist the gesture settings
+   */
+  save() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.GESTURES, this.settings);
+  }
+
+  /**
+   * Begin tracking a finger on the card
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerDown(e) {
+    if (!this.settings.swipe || this.isExiting || !this.game.isTurnRunning()) return;
+
+    this.drag = { id: e.pointerId, x: e.clientX, y: e.clientY };
+    this.card.setPointerCapture?.(e.pointerId);
+  }
+
+  /**
+   * Move the card with the finger
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerMove(e) {
+    if (this.drag?.id !== e.pointerId) return;
+
+    const dx = e.clientX - this.drag.x;
+    this.card.style.transform = `translateX(${dx}px) rotate(${dx / 20}deg)`;
+  }
+
+  /**
+   * Score the card if the finger travelled far enough sideways
+   * @param {PointerEvent} e - Pointer event
+   */
+  handlePointerUp(e) {
+    if (this.drag?.id !== e.pointerId) return;
+
+    const dx = e.clientX - this.drag.x;
+    const dy = e.clientY - this.drag.y;
+    this.cancelDrag();
+    if (Math.abs(dx) >= GESTURES.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+      this.trigger(dx > 0 ? 'correct' : 'pass');
+    }
+  }
+
+  /**
+   * Drop the current drag and put the card back
+   */
+  cancelDrag() {
+    this.drag = null;
+    this.card?.style.removeProperty('transform');
+  }
+
+  /**
+   * Score the card when the phone tips far enough from upright
+   * The phone must come back near upright before the next tilt counts.
+   * @param {number|null} beta - Front-to-back rotation in degrees
+   * @param {number|null} gamma - Left-to-right rotation in degrees
+   * @param {number} angle - Screen orientation angle
+   */
+  handleOrientation(beta, gamma, angle = 0) {
+    const pitch = getTiltPitch(beta, gamma, angle);
+    if (pitch === null) return;
+
+    if (Math.abs(pitch) <= GESTURES.TILT_RESET_ANGLE) {
+      this.tiltArmed = true;
+    } else if (this.tiltArmed && Math.abs(pitch) >= GESTURES.TILT_ANGLE) {
+      this.tiltArmed = false;
+      this.trigger(pitch > 0 ? 'correct' : 'pass');
+    }
+  }
+
+  /**
+   * Send the card off-screen, then score it
+   * Gestures during the exit or the cooldown after it are ignored.
+   * @param {string} action - 'correct' or 'pass'
+   */
+  trigger(action) {
+    if (this.isExiting || this.clock.now() < this.cooldownUntil || !this.game.isTurnRunning()) return;
+
+    if (action === 'pass' && this.game.getPassesRemaining() === 0) {
+      animateElement(this.card, 'headShake', 500);
+      return;
+    }
+
+    const exit = action === 'correct' ? 'slideOutRight' : 'slideOutLeft';
+    this.isExiting = true;
+    animateElement(this.card, exit, GESTURES.CARD_EXIT_DURATION);
+
+    this.clock.setTimeout(() => {
+      this.card?.classList.remove('animated', exit);
+      this.card?.style.removeProperty('animation-duration');
+      this.isExiting = false;
+      this.cooldownUntil = this.clock.now() + GESTURES.COOLDOWN;
+
+      if (action === 'correct') {
+        this.game.handleCorrect();
+      } else {
+        this.game.handlePass();
+      }
+    }, GESTURES.CARD_EXIT_DURATION);
+  }
+}
+
+/**
+ * Get the current screen orientation angle
+ * @returns {number} - 0, 90, 180 or 270
+ */
+function getScreenAngle() {
+  return screen.orientation?.angle ?? window.orientation ?? 0;
+}
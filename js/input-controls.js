@@ -0,0 +1,199 @@
+/**
+ * Input Controls - Keyboard, presentation clicker and gamepad shortcuts
+ * Clickers type PageUp/PageDown or arrow keys, so they work as keyboards.
+ */
+import { GAME_CONFIG } from './constants.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+
+// Keys with a friendlier name on the shortcuts overlay
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowRight: '→',
+  ArrowLeft: '←',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Escape: 'Esc',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down'
+};
+
+/**
+ * Name a key or gamepad button for display
+ * @param {string} type - 'keys' or 'buttons'
+ * @param {string|number} value - Key value or button index
+ * @returns {string}
+ */
+export const formatInput = (type, value) => {
+  if (type === 'buttons') {
+    return `🎮 ${GAME_CONFIG.GAMEPAD_BUTTON_NAMES[value] ?? `Button ${value}`}`;
+  }
+  return KEY_NAMES[value] ?? (value.length === 1 ? value.toUpperCase() : value);
+};
+
+/**
+ * Get the default bindings for every command
+ * @returns {Object} - { command: { keys, buttons } }
+ */
+const getDefaultBindings = () => Object.fromEntries(
+  Object.entries(GAME_CONFIG.SHORTCUTS).map(([command, { keys, buttons }]) => (
+    [command, { keys: [...keys], buttons: [...buttons] }]
+  ))
+);
+
+export class InputControls {
+  constructor() {
+    this.bindings = getDefaultBindings();
+    const saved = readStorage(GAME_CONFIG.STORAGE_KEYS.SHORTCUTS, {});
+    Object.keys(this.bindings).forEach(command => {
+      if (saved[command]) {
+        this.bindings[command] = { ...this.bindings[command], ...saved[command] };
+      }
+    });
+
+    this.onCommand = null; // Called with the command name when its key or button is pressed
+    this.onBindingsChange = null; // Called after a remap, a reset or a cancelled remap
+    this.capturing = null; // Command waiting for its new key or button
+    this.pressedButtons = new Set();
+    this.pollFrame = null;
+  }
+
+  /**
+   * Start listening to the keyboard and any gamepads
+   */
+  listen() {
+    window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    window.addEventListener('gamepadconnected', () => this.startPolling());
+    if (navigator.getGamepads && [...navigator.getGamepads()].some(Boolean)) {
+      this.startPolling();
+    }
+  }
+
+  /**
+   * Run the shortcut for a key press, unless the player is typing
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (e.target?.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (this.handleInput('keys', key)) {
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Run every command bound to a key or button, or remap if one is waiting
+   * @param {string} type - 'keys' or 'buttons'
+   * @param {string|number} value - Key value or button index
+   * @returns {boolean} - Whether the input was used
+   */
+  handleInput(type, value) {
+    if (this.capturing) {
+      if (type === 'keys' && value === 'Escape') {
+        this.cancelCapture();
+      } else {
+        this.bind(this.capturing, type, value);
+      }
+      return true;
+    }
+
+    const commands = Object.keys(this.bindings).filter(command => (
+      this.bindings[command][type].includes(value)
+    ));
+    commands.forEach(command => this.onCommand?.(command));
+    return commands.length > 0;
+  }
+
+  /**
+   * Bind a key or button to one command, taking it from any command it would clash with
+   * @param {string} command - Command being remapped
+   * @param {string} type - 'keys' or 'buttons'
+   * @param {string|number} value - Key value or button index
+   */
+  bind(command, type, value) {
+    const { SHARED_SHORTCUTS } = GAME_CONFIG;
+    const canShare = (other) => SHARED_SHORTCUTS.includes(command) && SHARED_SHORTCUTS.includes(other);
+
+    Object.keys(this.bindings).forEach(other => {
+      if (other !== command && !canShare(other)) {
+        this.bindings[other][type] = this.bindings[other][type].filter(bound => bound !== value);
+      }
+    });
+    this.bindings[command][type] = [value];
+    this.capturing = null;
+    this.save();
+  }
+
+  /**
+   * Wait for the next key or button and bind it to a command
+   * It replaces the command's keys or its buttons, whichever kind is pressed.
+   * @param {string} command - Command to remap
+   */
+  startCapture(command) {
+    if (!this.bindings[command]) return;
+    this.capturing = command;
+    this.onBindingsChange?.();
+  }
+
+  /**
+   * Stop waiting for a key without changing anything
+   */
+  cancelCapture() {
+    this.capturing = null;
+    this.onBindingsChange?.();
+  }
+
+  /**
+   * Go back to the default bindings
+   */
+  resetBindings() {
+    this.bindings = getDefaultBindings();
+    this.capturing = null;
+    removeStorage(GAME_CONFIG.STORAGE_KEYS.SHORTCUTS);
+    this.onBindingsChange?.();
+  }
+
+  /**
+   * Persist the bindings
+   */
+  save() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.SHORTCUTS, this.bindings);
+    this.onBindingsChange?.();
+  }
+
+  /**
+   * Poll gamepads every frame while any are connected
+   * The Gamepad API has no button events, only a snapshot to read.
+   */
+  startPolling() {
+    if (this.pollFrame !== null) return;
+
+    const poll = () => {
+      const gamepads = [...navigator.getGamepads()].filter(Boolean);
+      this.pollGamepads(gamepads);
+      this.pollFrame = gamepads.length > 0 ? requestAnimationFrame(poll) : null;
+    };
+    this.pollFrame = requestAnimationFrame(poll);
+  }
+
+  /**
+   * Treat each button that went down since the last poll as one press
+   * @param {Array<Gamepad>} gamepads - Connected gamepads
+   */
+  pollGamepads(gamepads) {
+    const pressed = new Set();
+    gamepads.forEach(gamepad => {
+      gamepad.buttons.forEach((button, index) => {
+        if (button.pressed) pressed.add(`${gamepad.index}:${index}`);
+      });
+    });
+
+    pressed.forEach(id => {
+      if (!this.pressedButtons.has(id)) {
+        this.handleInput('buttons', Number(id.split(':')[1]));
+      }
+    });
+    this.pressedButtons = pressed;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Music Player - A looping Afrobeat-style groove synthesized in Web Audio
+ * Notes are scheduled a little ahead of the audio clock so tempo changes land
+ * on the next sixteenth note without gaps.
+ */
+import { GAME_CONFIG } from './constants.js';
+import { tone, noise } from './sound-packs.js';
+import { systemClock } from './clock.js';
+
+const { MUSIC } = GAME_CONFIG;
+
+// Scheduler wakes this often (ms) and fills this far ahead (s)
+const SCHEDULE_INTERVAL = 25;
+const SCHEDULE_AHEAD = 0.1;
+
+// Two bars of sixteenths: an A minor to D major vamp
+const STEPS = 32;
+const BASS = { 0: 55, 3: 55, 6: 65.4, 8: 73.4, 10: 82.4, 14: 98, 16: 73.4, 19: 73.4, 22: 87.3, 24: 98, 26: 110, 30: 82.4 };
+const CHORDS = [[440, 523.3, 659.3], [587.3, 740, 880]];
+const GUITAR_STEPS = [2, 5, 7, 10, 13, 15];
+const KICK_STEPS = [0, 6, 10];
+
+export class MusicPlayer {
+  /**
+   * @param {AudioContext} ctx - Audio context
+   * @param {AudioNode} output - Music volume bus
+   * @param {Object} options - { clock } to run without a browser
+   */
+  constructor(ctx, output, { clock = systemClock } = {}) {
+    this.ctx = ctx;
+    this.output = output;
+    this.clock = clock;
+    this.bus = null;
+    this.scheduler = null;
+    this.step = 0;
+    this.nextStepTime = 0;
+    this.intensity = 0;
+  }
+
+  /**
+   * Whether the groove is playing
+   * @returns {boolean}
+   */
+  get isPlaying() {
+    return this.scheduler !== null;
+  }
+
+  /**
+   * Start the groove from the top of the bar
+   */
+  start() {
+    if (this.isPlaying) return;
+
+    // Each run gets its own gain so an earlier fade-out can finish on its own
+    const now = this.ctx.currentTime;
+    this.bus = this.ctx.createGain();
+    this.bus.gain.setValueAtTime(0.0001, now);
+    this.bus.gain.exponentialRampToValueAtTime(1, now + 0.3);
+    this.bus.connect(this.output);
+
+    this.step = 0;
+    this.nextStepTime = now + 0.05;
+    this.scheduler = this.clock.setInterval(() => this.schedule(), SCHEDULE_INTERVAL);
+    this.schedule();
+  }
+
+  /**
+   * Fade the groove out and stop scheduling notes
+   * @param {number} fadeTime - Seconds to fade over
+   */
+  stop(fadeTime = 0.1) {
+    if (!this.isPlaying) return;
+
+    this.clock.clearInterval(this.scheduler);
+    this.scheduler = null;
+
+    const bus = this.bus;
+    const now = this.ctx.currentTime;
+    bus.gain.cancelScheduledValues(now);
+    bus.gain.setTargetAtTime(0.0001, now, fadeTime / 4);
+    this.clock.setTimeout(() => bus.disconnect(), (fadeTime + SCHEDULE_AHEAD) * 1000);
+  }
+
+  /**
+   * Set how urgent the groove sounds
+   * @param {number} level - 0 (relaxed) to 1 (flat out)
+   */
+  setIntensity(level) {
+    this.intensity = Math.min(1, Math.max(0, level));
+  }
+
+  /**
+   * Get the current length of a sixteenth note
+   * @returns {number} - Seconds
+   */
+  getStepDuration() {
+    const tempo = MUSIC.TEMPO + (MUSIC.MAX_TEMPO - MUSIC.TEMPO) * this.intensity;
+    return 60 / tempo / 4;
+  }
+
+  /**
+   * Drop the music under a stinger, then bring it back
+   */
+  duck() {
+    if (!this.isPlaying) return;
+
+    const gain = this.bus.gain;
+    const now = this.ctx.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setTargetAtTime(MUSIC.DUCK_LEVEL, now, 0.02);
+    gain.setTargetAtTime(1, now + MUSIC.DUCK_TIME, 0.15);
+  }
+
+  /**
+   * Schedule every step that falls inside the lookahead window
+   */
+  schedule() {
+    while (this.nextStepTime < this.ctx.currentTime + SCHEDULE_AHEAD) {
+      this.playStep(this.step, this.nextStepTime - this.ctx.currentTime);
+      this.nextStepTime += this.getStepDuration();
+      this.step = (this.step + 1) % STEPS;
+    }
+  }
+
+  /**
+   * Play the drums, bass and guitar for one sixteenth
+   * Above half intensity, sixteenth hi-hats and a cowbell join in.
+   * @param {number} step - Step in the two-bar loop
+   * @param {number} start - Seconds from now
+   */
+  playStep(step, start) {
+    const out = this.bus;
+    const ctx = this.ctx;
+    const beat = step % 16;
+    const isDriving = this.intensity > 0.5;
+
+    if (KICK_STEPS.includes(beat)) {
+      tone(ctx, out, { freq: 150, endFreq: 45, start, duration: 0.25, volume: 0.7 });
+    }
+    if (beat === 4 || beat === 12) {
+      noise(ctx, out, { freq: 1800, start, duration: 0.12, volume: 0.35 });
+    }
+    if (beat % 2 === 0 || isDriving) {
+      noise(ctx, out, { freq: 8000, filter: 'highpass', start, duration: beat === 14 ? 0.12 : 0.03, volume: 0.1 });
+    }
+    if (isDriving && beat % 4 === 0) {
+      tone(ctx, out, { freq: 560, type: 'square', start, duration: 0.08, volume: 0.06 });
+      tone(ctx, out, { freq: 845, type: 'square', start, duration: 0.08, volume: 0.04 });
+    }
+
+    if (BASS[step]) {
+      tone(ctx, out, { freq: BASS[step], type: 'triangle', start, duration: 0.22, volume: 0.5 });
+    }
+    if (GUITAR_STEPS.includes(beat)) {
+      const chord = CHORDS[Math.floor(step / 16)];
+      chord.forEach(freq => tone(ctx, out, { freq, type: 'square', start, duration: 0.07, volume: 0.025 }));
+    }
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Peer Link - WebRTC data channel between two phones, paired by hand
+ * Offer and answer are swapped as text or QR codes, so no signaling server is
+ * needed. Both phones must be on the same network.
+ */
+import { GAME_CONFIG } from './constants.js';
+
+/**
+ * Encodes a session description as a compact pairing code
+ * Compressed where the browser supports it, to keep QR codes small.
+ * @param {RTCSessionDescription} description - Local description with ICE candidates
+ * @returns {Promise<string>}
+ */
+export const encodeSignal = async (description) => {
+  const json = JSON.stringify({ type: description.type, sdp: description.sdp });
+  let bytes = new TextEncoder().encode(json);
+  let prefix = GAME_CONFIG.PEER_CODE_PREFIX;
+
+  if ('CompressionStream' in window) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    prefix += 'z';
+  }
+
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return `${prefix}:${btoa(binary)}`;
+};
+
+/**
+ * Decodes a pairing code back into a session description
+ * @param {string} code - Code from encodeSignal
+ * @returns {Promise<Object>} - { type, sdp }
+ */
+export const decodeSignal = async (code) => {
+  const [prefix, payload] = code.trim().split(':');
+  if (!prefix?.startsWith(GAME_CONFIG.PEER_CODE_PREFIX) || !payload) {
+    throw new Error('Not a Dat Tin pairing code');
+  }
+
+  let bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+  if (prefix.endsWith('z')) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+/**
+ * Dispatches 'open', 'close' and 'message' events; message events carry the
+ * parsed data, so a link can stand in for a BroadcastChannel.
+ */
+export class PeerLink extends EventTarget {
+  constructor() {
+    super();
+    this.connection = new RTCPeerConnection({ iceServers: GAME_CONFIG.PEER_ICE_SERVERS });
+    this.channel = null;
+    this.isOpen = false;
+
+    // The answering phone receives the channel the offering phone created
+    this.connection.addEventListener('datachannel', (e) => this.attachChannel(e.channel));
+    this.connection.addEventListener('connectionstatechange', () => {
+      if (['failed', 'closed'].includes(this.connection.connectionState)) {
+        this.handleClose();
+      }
+    });
+  }
+
+  /**
+   * Wire up the data channel events
+   * @param {RTCDataChannel} channel - Data channel
+   */
+  attachChannel(channel) {
+    this.channel = channel;
+    channel.addEventListener('open', () => {
+      this.isOpen = true;
+      this.dispatchEvent(new Event('open'));
+    });
+    channel.addEventListener('close', () => this.handleClose());
+    channel.addEventListener('message', (e) => {
+      try {
+        this.dispatchEvent(new MessageEvent('message', { data: JSON.parse(e.data) }));
+      } catch (error) {
+        console.error('Error reading peer message:', error);
+      }
+    });
+  }
+
+  /**
+   * Create the offer code for the other phone
+   * @returns {Promise<string>}
+   */
+  async createOffer() {
+    this.attachChannel(this.connection.createDataChannel('dattin'));
+    await this.connection.setLocalDescription(await this.connection.createOffer());
+    await this.waitForCandidates();
+    return encodeSignal(this.connection.localDescription);
+  }
+
+  /**
+   * Accept an offer code and create the answer code to send back
+   * @param {string} code - Offer code
+   * @returns {Promise<string>}
+   */
+  async acceptOffer(code) {
+    await this.connection.setRemoteDescription(await decodeSignal(code));
+    await this.connection.setLocalDescription(await this.connection.createAnswer());
+    await this.waitForCandidates();
+    return encodeSignal(this.connection.localDescription);
+  }
+
+  /**
+   * Accept the answer code, after which the channel opens
+   * @param {string} code - Answer code
+   * @returns {Promise<void>}
+   */
+  async acceptAnswer(code) {
+    await this.connection.setRemoteDescription(await decodeSignal(code));
+  }
+
+  /**
+   * Wait until ICE candidates are gathered, so one code holds everything
+   * @returns {Promise<void>}
+   */
+  waitForCandidates() {
+    if (this.connection.iceGatheringState === 'complete') {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const timeout = setTimeout(resolve, GAME_CONFIG.PEER_GATHER_TIMEOUT);
+      this.connection.addEventListener('icegatheringstatechange', () => {
+        if (this.connection.iceGatheringState === 'complete') {
+          clearTimeout(timeout);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a message if the channel is open
+   * @param {Object} data - JSON-serializable message
+   */
+  postMessage(data) {
+    if (this.channel?.readyState === 'open') {
+      this.channel.send(JSON.stringify(data));
+    }
+  }
+
+  /**
+   * Report the link as closed, once
+   */
+  handleClose() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.dispatchEvent(new Event('close'));
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    this.channel?.close();
+    this.connection.close();
+    this.handleClose();
+  }
+}
@@ -0,0 +1,435 @@
+/**
+ * QR Code - Minimal QR encoder (byte mode, low error correction) and camera scanner
+ * Used to swap pairing codes between phones without a server.
+ */
+
+// Error correction level L: codewords per block and number of blocks, by version
+const ECC_CODEWORDS_PER_BLOCK = [
+  -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+  28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30
+];
+const ECC_BLOCKS = [
+  -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+  8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25
+];
+const FORMAT_BITS_L = 1;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+/**
+ * Counts the modules available for data and error correction in a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number}
+ */
+const getRawModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+/**
+ * Counts the data codewords a version holds at level L
+ * @param {number} version - QR version
+ * @returns {number}
+ */
+const getDataCodewords = (version) =>
+  Math.floor(getRawModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ECC_BLOCKS[version];
+
+/**
+ * Multiplies two numbers in GF(256) with the QR polynomial
+ * @param {number} x - Field element
+ * @param {number} y - Field element
+ * @returns {number}
+ */
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Builds the Reed-Solomon generator polynomial
+ * @param {number} degree - Number of error correction codewords
+ * @returns {Array<number>}
+ */
+const getRsDivisor = (degree) => {
+  const divisor = new Array(degree - 1).fill(0).concat(1);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < divisor.length; j++) {
+      divisor[j] = gfMultiply(divisor[j], root);
+      if (j + 1 < divisor.length) divisor[j] ^= divisor[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return divisor;
+};
+
+/**
+ * Computes the error correction codewords for a block
+ * @param {Array<number>} data - Data codewords
+ * @param {Array<number>} divisor - Generator polynomial
+ * @returns {Array<number>}
+ */
+const getRsRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+/**
+ * Splits data into blocks, adds error correction and interleaves them
+ * @param {Array<number>} data - Data codewords
+ * @param {number} version - QR version
+ * @returns {Array<number>} - Final codewords
+ */
+const addErrorCorrection = (data, version) => {
+  const blockCount = ECC_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawModules(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = getRsDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const blockData = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    k += blockData.length;
+    const ecc = getRsRemainder(blockData, divisor);
+    if (i < shortBlockCount) blockData.push(0);
+    blocks.push(blockData.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the padding byte of short blocks
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+/**
+ * Scores a finished symbol; lower is easier to scan
+ * @param {Array<Array<boolean>>} modules - Module grid
+ * @returns {number}
+ */
+const getPenalty = (modules) => {
+  const size = modules.length;
+  const finderLike = ['10111010000', '00001011101'];
+  let penalty = 0;
+  let dark = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  lines.forEach(line => {
+    // Runs of five or more of the same color
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+
+    // Patterns that look like a finder
+    const bits = line.map(module => (module ? '1' : '0')).join('');
+    finderLike.forEach(pattern => {
+      for (let i = bits.indexOf(pattern); i !== -1; i = bits.indexOf(pattern, i + 1)) {
+        penalty += 40;
+      }
+    });
+  });
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+
+      // 2x2 blocks of one color
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  // Balance of dark and light modules
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+/**
+ * Encodes text as a QR code module grid
+ * @param {string} text - Text to encode (UTF-8 byte mode)
+ * @returns {Array<Array<boolean>>} - Rows of modules, true for dark
+ */
+export const encodeQr = (text) => {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  // Smallest version that fits
+  let version = 1;
+  const getDataBits = (v) => 4 + (v <= 9 ? 8 : 16) + bytes.length * 8;
+  while (version <= 40 && getDataBits(version) > getDataCodewords(version) * 8) {
+    version++;
+  }
+  if (version > 40) {
+    throw new Error('Text is too long for a QR code');
+  }
+
+  // Mode, length and data bits, then terminator and padding
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  appendBits(0b0100, 4);
+  appendBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => appendBits(byte, 8));
+
+  const capacity = getDataCodewords(version) * 8;
+  appendBits(0, Math.min(4, capacity - bits.length));
+  appendBits(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+  }
+  const codewords = addErrorCorrection(data, version);
+
+  // Function patterns
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  if (version > 1) {
+    const alignCount = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (alignCount * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < alignCount; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the corners taken by finders
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+  }
+
+  const drawFormatBits = (mask) => {
+    const formatData = (FORMAT_BITS_L << 3) | mask;
+    let remainder = formatData;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const formatBits = ((formatData << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((formatBits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const versionBits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Data in the zigzag order, two columns at a time from the bottom right
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  // Keep the mask that scans best
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = getPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+};
+
+/**
+ * Draws text as a QR code on a canvas, with the standard quiet zone
+ * @param {HTMLCanvasElement} canvas - Canvas to draw on
+ * @param {string} text - Text to encode
+ * @param {number} scale - Pixels per module
+ */
+export const drawQr = (canvas, text, scale = 4) => {
+  const modules = encodeQr(text);
+  const quietZone = 4;
+  const size = (modules.length + quietZone * 2) * scale;
+  canvas.width = size;
+  canvas.height = size;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = '#000000';
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        ctx.fillRect((x + quietZone) * scale, (y + quietZone) * scale, scale, scale);
+      }
+    });
+  });
+};
+
+/**
+ * Checks whether this browser can scan QR codes with the camera
+ * @returns {boolean}
+ */
+export const canScanQr = () =>
+  'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * Scans the camera for a QR code until one is found or the scan is stopped
+ * @param {HTMLVideoElement} video - Video element to show the camera in
+ * @param {Function} onResult - Called once with the decoded text
+ * @returns {Promise<Function>} - Stops the camera
+ */
+export const startQrScanner = async (video, onResult) => {
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  let stopped = false;
+
+  const stop = () => {
+    stopped = true;
+    stream.getTracks().forEach(track => track.stop());
+    video.srcObject = null;
+  };
+
+  video.srcObject = stream;
+  await video.play();
+
+  const scan = async () => {
+    if (stopped) return;
+    try {
+      const [code] = await detector.detect(video);
+      if (code) {
+        stop();
+        onResult(code.rawValue);
+        return;
+      }
+    } catch (error) {
+      console.error('Error scanning QR code:', error);
+    }
+    requestAnimationFrame(scan);
+  };
+  scan();
+
+  return stop;
+};
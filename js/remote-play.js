@@ -0,0 +1,340 @@
+/**
+ * Remote Play - Links phones to the host game over a PeerLink
+ * Guessers see the team, timer and scores. A scorekeeper from the opposing team
+ * also sees the card and can press Pass, Buzz, Correct and Pause.
+ */
+import { PeerLink } from './peer-link.js';
+import { ScoreboardBroadcast, ScoreboardDisplay } from './scoreboard-broadcast.js';
+import { drawQr, canScanQr, startQrScanner } from './qr-code.js';
+import { getElement, getElements } from './utils.js';
+
+// Game events after which a scorekeeper's card may have changed
+const CARD_EVENTS = ['roundStart', 'card', 'pause', 'review', 'roundEnd', 'gameOver', 'reset', 'resume'];
+
+export class RemoteHost {
+  /**
+   * @param {GameManager} game - Game to share
+   * @param {UIManager} uiManager - UI for the pairing overlay
+   */
+  constructor(game, uiManager) {
+    this.game = game;
+    this.ui = uiManager;
+    this.links = new Set();
+    this.pendingLink = null;
+    this.stopScan = null;
+  }
+
+  /**
+   * Open the pairing overlay with a fresh offer code
+   * @returns {Promise<void>}
+   */
+  async open() {
+    this.ui.togglePairing(true, canScanQr());
+    this.ui.showPairingOffer('');
+    this.ui.setPairingStatus('Making a pairing code…');
+
+    // A link that never got an answer is replaced
+    this.pendingLink?.close();
+    const link = new PeerLink();
+    this.pendingLink = link;
+    link.addEventListener('open', () => this.attach(link));
+
+    try {
+      const code = await link.createOffer();
+      if (this.pendingLink !== link) return;
+      this.ui.showPairingOffer(code);
+      this.ui.setPairingStatus('On the other phone, open ⚙️ → Join a Game, then scan or paste this code.');
+    } catch (error) {
+      console.error('Error creating pairing code:', error);
+      this.ui.setPairingStatus('This browser cannot link phones.');
+    }
+  }
+
+  /**
+   * Accept the reply code from the other phone
+   * @param {string} code - Answer code
+   * @returns {Promise<void>}
+   */
+  async connect(code) {
+    if (!this.pendingLink || !code.trim()) return;
+
+    try {
+      await this.pendingLink.acceptAnswer(code);
+      this.ui.setPairingStatus('Connecting…');
+    } catch (error) {
+      console.error('Error accepting reply code:', error);
+      this.ui.setPairingStatus('That reply code no work. Check am and try again.');
+    }
+  }
+
+  /**
+   * Scan the reply code with the camera and connect
+   * @param {HTMLVideoElement} video - Camera preview
+   * @returns {Promise<void>}
+   */
+  async scanAnswer(video) {
+    this.stopScanner();
+    try {
+      video.style.display = '';
+      this.stopScan = await startQrScanner(video, (code) => {
+        this.stopScan = null;
+        video.style.display = 'none';
+        this.connect(code);
+      });
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      video.style.display = 'none';
+      this.ui.setPairingStatus('Camera no dey available. Paste the reply code instead.');
+    }
+  }
+
+  /**
+   * Turn the camera off if it is scanning
+   */
+  stopScanner() {
+    this.stopScan?.();
+    this.stopScan = null;
+  }
+
+  /**
+   * Start sharing the game with a newly opened link
+   * @param {PeerLink} link - Open link
+   */
+  attach(link) {
+    if (this.pendingLink === link) {
+      this.pendingLink = null;
+    }
+    this.links.add(link);
+
+    const broadcast = new ScoreboardBroadcast(this.game, link);
+    let role = 'guesser';
+    const sendCard = () => {
+      if (role === 'scorekeeper') {
+        link.postMessage({ type: 'card', card: this.game.getCurrentCard() });
+      }
+    };
+    const unsubscribes = CARD_EVENTS.map(event => this.game.on(event, sendCard));
+
+    link.addEventListener('message', (e) => {
+      const message = e.data;
+      if (message?.type === 'role') {
+        role = message.role === 'scorekeeper' ? 'scorekeeper' : 'guesser';
+        sendCard();
+      } else if (message?.type === 'action' && role === 'scorekeeper') {
+        this.game.handleRemoteAction(message.action);
+      }
+    });
+
+    link.addEventListener('close', () => {
+      broadcast.close();
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      this.links.delete(link);
+      this.ui.updateLinkedPhones(this.links.size);
+      this.ui.showToast('A linked phone disconnected');
+    });
+
+    this.ui.updateLinkedPhones(this.links.size);
+    this.ui.setPairingStatus('Linked! 📱 Link another phone or tap Done.');
+    this.ui.showToast('Phone linked 📱');
+  }
+
+  /**
+   * Close the pairing overlay
+   * A link that was just answered is left to finish connecting.
+   */
+  close() {
+    this.stopScanner();
+    this.ui.togglePairing(false);
+  }
+}
+
+export class RemoteGuest {
+  constructor() {
+    this.link = null;
+    this.role = 'guesser';
+    this.stopScan = null;
+    this.view = null;
+    this.elements = {
+      joinPanel: getElement('join-panel'),
+      offerInput: getElement('join-offer'),
+      answerBox: getElement('join-answer-box'),
+      answerQr: getElement('join-answer-qr'),
+      answerOutput: getElement('join-answer'),
+      video: getElement('join-video'),
+      scanBtn: getElement('scan-offer-btn'),
+      status: getElement('join-status'),
+      hint: getElement('display-hint'),
+      scorekeeperPanel: getElement('scorekeeper-panel'),
+      targetWord: getElement('remote-target-word'),
+      forbiddenWordsList: getElement('remote-forbidden-words'),
+      pauseBtn: getElement('remote-pause-btn')
+    };
+
+    if (this.elements.hint) this.elements.hint.style.display = 'none';
+    if (this.elements.joinPanel) this.elements.joinPanel.style.display = '';
+    if (this.elements.scanBtn) this.elements.scanBtn.style.display = canScanQr() ? '' : 'none';
+
+    getElements('.role-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        getElements('.role-btn').forEach(b => b.classList.remove('selected'));
+        e.currentTarget.classList.add('selected');
+        this.role = e.currentTarget.dataset.role;
+      });
+    });
+
+    const actions = {
+      'create-answer-btn': () => this.createAnswer(this.elements.offerInput?.value || ''),
+      'scan-offer-btn': () => this.scanOffer(),
+      'copy-answer-btn': () => navigator.clipboard?.writeText(this.elements.answerOutput?.value || ''),
+      'remote-pass-btn': () => this.sendAction('pass'),
+      'remote-buzz-btn': () => this.sendAction('buzz'),
+      'remote-correct-btn': () => this.sendAction('correct'),
+      'remote-pause-btn': () => this.sendAction('pause')
+    };
+    Object.entries(actions).forEach(([id, fn]) => {
+      getElement(id)?.addEventListener('click', fn);
+    });
+  }
+
+  /**
+   * Show a pairing status message
+   * @param {string} message - Status text
+   */
+  setStatus(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+
+  /**
+   * Answer the host's offer code and show the reply code
+   * @param {string} code - Offer code
+   * @returns {Promise<void>}
+   */
+  async createAnswer(code) {
+    if (!code.trim()) {
+      this.setStatus('Paste or scan the code from the host phone first.');
+      return;
+    }
+
+    this.link?.close();
+    const link = new PeerLink();
+    this.link = link;
+    link.addEventListener('open', () => this.handleOpen());
+    link.addEventListener('close', () => this.handleClose());
+    link.addEventListener('message', (e) => this.handleMessage(e.data));
+
+    try {
+      this.setStatus('Making a reply code…');
+      const answer = await link.acceptOffer(code);
+      if (this.elements.answerOutput) this.elements.answerOutput.value = answer;
+      if (this.elements.answerQr) drawQr(this.elements.answerQr, answer);
+      if (this.elements.answerBox) this.elements.answerBox.style.display = '';
+      this.setStatus('Now scan or paste this reply on the host phone.');
+    } catch (error) {
+      console.error('Error answering pairing code:', error);
+      this.setStatus('That code no work. Check am and try again.');
+    }
+  }
+
+  /**
+   * Scan the host's offer code with the camera
+   * @returns {Promise<void>}
+   */
+  async scanOffer() {
+    const { video, offerInput } = this.elements;
+    if (!video) return;
+
+    this.stopScan?.();
+    try {
+      video.style.display = '';
+      this.stopScan = await startQrScanner(video, (code) => {
+        this.stopScan = null;
+        video.style.display = 'none';
+        if (offerInput) offerInput.value = code;
+        this.createAnswer(code);
+      });
+    } catch (error) {
+      console.error('Error starting camera:', error);
+      video.style.display = 'none';
+      this.setStatus('Camera no dey available. Paste the code instead.');
+    }
+  }
+
+  /**
+   * Switch from pairing to the game view
+   */
+  handleOpen() {
+    const { joinPanel, scorekeeperPanel, hint } = this.elements;
+    if (joinPanel) joinPanel.style.display = 'none';
+    if (hint) hint.textContent = 'Linked! The timer and scores go show here once the game starts.';
+    if (scorekeeperPanel) scorekeeperPanel.style.display = this.role === 'scorekeeper' ? '' : 'none';
+
+    new ScoreboardDisplay(this.link);
+    this.link.postMessage({ type: 'role', role: this.role });
+  }
+
+  /**
+   * Go back to pairing when the host disconnects
+   */
+  handleClose() {
+    const { joinPanel, scorekeeperPanel, answerBox } = this.elements;
+    if (joinPanel) joinPanel.style.display = '';
+    if (answerBox) answerBox.style.display = 'none';
+    if (scorekeeperPanel) scorekeeperPanel.style.display = 'none';
+    this.setStatus('Connection lost. Pair again to continue.');
+  }
+
+  /**
+   * Handle a message from the host
+   * @param {Object} message - { type: 'view' | 'card', ... }
+   */
+  handleMessage(message) {
+    if (message?.type === 'view') {
+      this.view = message.view;
+      this.updateControls();
+    } else if (message?.type === 'card') {
+      this.renderCard(message.card);
+    }
+  }
+
+  /**
+   * Show the card the scorekeeper is policing
+   * @param {Object|null} card - { targetWord, forbiddenWords } or null between turns
+   */
+  renderCard(card) {
+    const { targetWord, forbiddenWordsList } = this.elements;
+    if (!targetWord || !forbiddenWordsList) return;
+
+    targetWord.textContent = card ? card.targetWord : '—';
+    forbiddenWordsList.innerHTML = '';
+    (card ? card.forbiddenWords : []).forEach(word => {
+      const li = document.createElement('li');
+      li.className = 'forbidden-word';
+      li.textContent = word;
+      forbiddenWordsList.appendChild(li);
+    });
+  }
+
+  /**
+   * Enable the scorekeeper buttons only while a turn is running
+   */
+  updateControls() {
+    const isPlaying = this.view?.phase === 'playing';
+    getElements('.remote-action-btn').forEach(btn => {
+      btn.disabled = !isPlaying || this.view.isPaused;
+    });
+    if (this.elements.pauseBtn) {
+      this.elements.pauseBtn.disabled = !isPlaying;
+      this.elements.pauseBtn.textContent = this.view?.isPaused ? '▶️ Continue' : '⏸️ Pause';
+    }
+  }
+
+  /**
+   * Send a button press to the host
+   * @param {string} action - 'correct', 'pass', 'buzz' or 'pause'
+   */
+  sendAction(action) {
+    this.link?.postMessage({ type: 'action', action });
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Results Card - Draws a shareable PNG summary of a finished game
+ */
+
+const WIDTH = 1080;
+const HEIGHT = 1350;
+const PADDING = 80;
+const FONT = 'Poppins, sans-serif';
+
+/**
+ * Resolves a CSS color, including var(--name), to a value canvas understands
+ * @param {string} color - CSS color or custom property reference
+ * @param {string} fallback - Color used when the property is not defined
+ * @returns {string}
+ */
+const resolveColor = (color, fallback = '#14532d') => {
+  const match = /^var\((--[\w-]+)\)$/.exec(color || '');
+  if (!match) return color || fallback;
+
+  const value = getComputedStyle(document.documentElement).getPropertyValue(match[1]).trim();
+  return value || fallback;
+};
+
+/**
+ * Shortens text with an ellipsis until it fits the width
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the font set
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string}
+ */
+const fitText = (ctx, text, maxWidth) => {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+};
+
+/**
+ * Fills a rounded rectangle
+ * @param {CanvasRenderingContext2D} ctx - Canvas context with the fill set
+ * @param {number} x - Left
+ * @param {number} y - Top
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {number} radius - Corner radius
+ */
+const fillRoundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+  ctx.fill();
+};
+
+/**
+ * Draws the results card for a finished game
+ * @param {Object} summary - { teams (best first), bestRound, fastest, playedAt, isTournamentMatch }
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const drawResultsCard = async (summary) => {
+  // Wait for Poppins so the card matches the app when it is cached
+  await document.fonts?.ready;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const contentWidth = WIDTH - PADDING * 2;
+  const green900 = resolveColor('var(--green-900)', '#14532d');
+  const green800 = resolveColor('var(--green-800)', '#166534');
+  const yellow400 = resolveColor('var(--yellow-400)', '#facc15');
+  const yellow300 = resolveColor('var(--yellow-300)', '#fde047');
+
+  // Background
+  const background = ctx.createLinearGradient(0, 0, 0, HEIGHT);
+  background.addColorStop(0, green800);
+  background.addColorStop(1, green900);
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+
+  // Header
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `700 72px ${FONT}`;
+  ctx.fillText('Dat Tin 🇳🇬', WIDTH / 2, 150);
+  ctx.fillStyle = yellow300;
+  ctx.font = `600 32px ${FONT}`;
+  const date = new Date(summary.playedAt).toLocaleDateString(undefined, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  });
+  ctx.fillText(summary.isTournamentMatch ? `Tournament match · ${date}` : date, WIDTH / 2, 205);
+
+  // Champion
+  const [champion] = summary.teams;
+  const championGradient = ctx.createLinearGradient(PADDING, 250, WIDTH - PADDING, 560);
+  championGradient.addColorStop(0, resolveColor(champion.color));
+  championGradient.addColorStop(1, yellow300);
+  ctx.fillStyle = championGradient;
+  fillRoundedRect(ctx, PADDING, 250, contentWidth, 310, 32);
+
+  ctx.fillStyle = green900;
+  ctx.font = `96px ${FONT}`;
+  ctx.fillText('🏆', WIDTH / 2, 360);
+  ctx.font = `700 36px ${FONT}`;
+  ctx.fillText(summary.isTournamentMatch ? 'MATCH WINNER' : 'CHAMPION', WIDTH / 2, 420);
+  ctx.font = `700 64px ${FONT}`;
+  ctx.fillText(fitText(ctx, champion.name, contentWidth - 80), WIDTH / 2, 490);
+  ctx.font = `600 36px ${FONT}`;
+  ctx.fillText(`${champion.score} points`, WIDTH / 2, 535);
+
+  // Medal table
+  const medals = ['🥇', '🥈', '🥉'];
+  const rowHeight = 90;
+  let y = 610;
+  summary.teams.forEach((team, index) => {
+    ctx.fillStyle = resolveColor(team.color);
+    fillRoundedRect(ctx, PADDING, y, contentWidth, rowHeight - 16, 20);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `700 40px ${FONT}`;
+    ctx.textAlign = 'left';
+    const position = medals[index] || `${index + 1}.`;
+    ctx.fillText(position, PADDING + 28, y + 52);
+    ctx.fillText(fitText(ctx, team.name, contentWidth - 320), PADDING + 110, y + 52);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${team.score} pts`, WIDTH - PADDING - 28, y + 52);
+    y += rowHeight;
+  });
+
+  // Highlights
+  const highlights = [];
+  if (summary.bestRound) {
+    const { teamName, describer, score } = summary.bestRound;
+    highlights.push(['🔥 Best round', `${describer || teamName} · ${score} pts`]);
+  }
+  if (summary.fastest) {
+    const { word, seconds, teamName } = summary.fastest;
+    highlights.push(['⚡ Fastest correct', `${word} · ${seconds < 1 ? 'under 1s' : `${seconds}s`} (${teamName})`]);
+  }
+
+  y += 30;
+  highlights.forEach(([label, value]) => {
+    ctx.textAlign = 'left';
+    ctx.fillStyle = yellow400;
+    ctx.font = `700 34px ${FONT}`;
+    ctx.fillText(label, PADDING, y);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `600 34px ${FONT}`;
+    ctx.fillText(fitText(ctx, value, contentWidth), PADDING, y + 48);
+    y += 120;
+  });
+
+  // Footer
+  ctx.textAlign = 'center';
+  ctx.fillStyle = yellow300;
+  ctx.font = `600 30px ${FONT}`;
+  ctx.fillText('Describe am. No talk am. Dat Tin!', WIDTH / 2, HEIGHT - 60);
+
+  return canvas;
+};
+
+/**
+ * Encodes a canvas as a PNG blob
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @returns {Promise<Blob>}
+ */
+export const canvasToPng = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), 'image/png');
+});
@@ -0,0 +1,213 @@
+/**
+ * Scoreboard Broadcast - Mirrors the game to a second-screen scoreboard
+ * Uses BroadcastChannel for a tab in the same browser profile, or a PeerLink for
+ * another phone. Only timer, teams and scores are sent, never the describer's card.
+ */
+import { GAME_CONFIG } from './constants.js';
+import { escapeHtml, getElement } from './utils.js';
+
+/**
+ * Keeps only what a scoreboard may show about a team
+ * @param {Object|null} team - Team object
+ * @returns {Object|null} - { name, color, score }
+ */
+const toPublicTeam = (team) => team && { name: team.name, color: team.color, score: team.score };
+
+/**
+ * Keeps only the name and icon of a game mode
+ * @param {Object|null} mode - Game mode config
+ * @returns {Object|null} - { label, icon }
+ */
+const toPublicMode = (mode) => mode && { label: mode.label, icon: mode.icon };
+
+// Scoreboard phase for each game state; anything else shows as waiting
+const STATE_PHASES = {
+  [GAME_CONFIG.STATES.GET_READY]: 'getReady',
+  [GAME_CONFIG.STATES.PLAYING]: 'playing',
+  [GAME_CONFIG.STATES.REVIEW]: 'review',
+  [GAME_CONFIG.STATES.STEAL]: 'review',
+  [GAME_CONFIG.STATES.ROUND_OVER]: 'roundOver',
+  [GAME_CONFIG.STATES.GAME_OVER]: 'gameOver'
+};
+
+export class ScoreboardBroadcast {
+  /**
+   * @param {GameManager} game - Game whose events are mirrored
+   * @param {BroadcastChannel|PeerLink} channel - Channel shared with the displays
+   */
+  constructor(game, channel = new BroadcastChannel(GAME_CONFIG.SCOREBOARD_CHANNEL)) {
+    this.channel = channel;
+    this.view = {
+      phase: 'waiting',
+      teams: [],
+      team: null,
+      describer: null,
+      mode: null,
+      timeLeft: 0,
+      roundScore: 0,
+      isPaused: false
+    };
+
+    const handlers = {
+      getReady: ({ team, describer, mode, teams }) => this.update({
+        phase: 'getReady',
+        team: toPublicTeam(team),
+        describer,
+        mode: toPublicMode(mode),
+        teams: teams.map(toPublicTeam),
+        roundScore: 0,
+        isPaused: false
+      }),
+      roundStart: ({ team, describer, mode, timeLeft, roundScore }) => this.update({
+        phase: 'playing',
+        team: toPublicTeam(team),
+        describer,
+        mode: toPublicMode(mode),
+        timeLeft,
+        roundScore
+      }),
+      tick: ({ timeLeft }) => {
+        if (timeLeft !== this.view.timeLeft) this.update({ timeLeft });
+      },
+      cardResult: ({ roundScore }) => this.update({ roundScore }),
+      pause: ({ isPaused }) => this.update({ isPaused }),
+      review: () => this.update({ phase: 'review', isPaused: false }),
+      roundEnd: ({ team, roundScore, teams }) => this.update({
+        phase: 'roundOver',
+        team: toPublicTeam(team),
+        roundScore,
+        teams: teams.map(toPublicTeam)
+      }),
+      gameOver: ({ teams }) => this.update({ phase: 'gameOver', teams: teams.map(toPublicTeam) }),
+      reset: () => this.update({ phase: 'waiting', teams: [], team: null }),
+      resume: (state) => this.sync(state)
+    };
+    this.unsubscribes = Object.entries(handlers).map(([event, handler]) => game.on(event, handler));
+    
+    // Start from wherever the game is, for displays linked mid-game
+    this.sync(game.getPublicState());
+
+    // Displays ask for the current view when they open
+    this.channel.addEventListener('message', (e) => {
+      if (e.data?.type === 'hello') {
+        this.post();
+      }
+    });
+  }
+
+  /**
+   * Rebuild the view from the game's public state
+   * @param {Object} state - From GameManager.getPublicState
+   */
+  sync({ state, teams, team, describer, mode, timeLeft, roundScore, isPaused }) {
+    const phase = STATE_PHASES[state] || 'waiting';
+    this.update({
+      phase,
+      teams: phase === 'waiting' ? [] : teams.map(toPublicTeam),
+      team: toPublicTeam(team),
+      describer,
+      mode: toPublicMode(mode),
+      timeLeft,
+      roundScore,
+      isPaused
+    });
+  }
+
+  /**
+   * Stop mirroring the game
+   */
+  close() {
+    this.unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Merge changes into the view and send it to every display
+   * @param {Object} changes - View fields to update
+   */
+  update(changes) {
+    this.view = { ...this.view, ...changes };
+    this.post();
+  }
+
+  /**
+   * Send the current view
+   */
+  post() {
+    this.channel.postMessage({ type: 'view', view: this.view });
+  }
+}
+
+export class ScoreboardDisplay {
+  /**
+   * @param {BroadcastChannel|PeerLink} channel - Channel shared with the game
+   */
+  constructor(channel = new BroadcastChannel(GAME_CONFIG.SCOREBOARD_CHANNEL)) {
+    this.channel = channel;
+    this.elements = {
+      header: getElement('display-header'),
+      status: getElement('display-status'),
+      detail: getElement('display-detail'),
+      timer: getElement('display-timer'),
+      roundScore: getElement('display-round-score'),
+      scoreboard: getElement('display-scoreboard'),
+      hint: getElement('display-hint')
+    };
+
+    this.channel.addEventListener('message', (e) => {
+      if (e.data?.type === 'view') {
+        this.render(e.data.view);
+      }
+    });
+    this.channel.postMessage({ type: 'hello' });
+  }
+
+  /**
+   * Render the mirrored game view
+   * @param {Object} view - View sent by ScoreboardBroadcast
+   */
+  render(view) {
+    const { header, status, detail, timer, roundScore, scoreboard, hint } = this.elements;
+    const teamName = view.team?.name || '';
+    const sortedTeams = [...view.teams].sort((a, b) => b.score - a.score);
+    const modeLabel = view.mode ? `${view.mode.icon} ${view.mode.label}` : '';
+
+    const phases = {
+      waiting: ['Waiting for a game…', ''],
+      getReady: [`Get ready, ${teamName}!`, [view.describer && `${view.describer} is describing`, modeLabel].filter(Boolean).join(' · ')],
+      playing: [teamName, view.isPaused ? '⏸️ Paused' : modeLabel],
+      review: [teamName, 'Checking cards…'],
+      roundOver: [`${teamName} scored ${view.roundScore}`, 'Next team, get ready'],
+      gameOver: [`🏆 ${sortedTeams[0]?.name || ''} wins!`, 'Game over']
+    };
+    const [statusText, detailText] = phases[view.phase] || phases.waiting;
+
+    if (status) status.textContent = statusText;
+    if (detail) detail.textContent = detailText;
+    if (header) {
+      header.style.backgroundColor = view.phase === 'gameOver' ? sortedTeams[0]?.color || '' : view.team?.color || '';
+    }
+    if (hint) hint.style.display = view.phase === 'waiting' ? '' : 'none';
+
+    // Timer and round score only mean something during a turn
+    const showTurn = view.phase === 'playing' || view.phase === 'review';
+    if (timer) {
+      timer.style.display = showTurn ? '' : 'none';
+      timer.textContent = view.timeLeft;
+      timer.classList.toggle('low-time', view.phase === 'playing' && view.timeLeft <= 10);
+    }
+    if (roundScore) {
+      roundScore.parentElement.style.display = showTurn ? '' : 'none';
+      roundScore.textContent = view.roundScore;
+    }
+
+    if (scoreboard) {
+      scoreboard.style.display = sortedTeams.length ? '' : 'none';
+      scoreboard.innerHTML = sortedTeams.map(team => `
+        <div class="scoreboard-item" style="background-color: ${team.color}">
+          <span class="team-name">${escapeHtml(team.name)}</span>
+          <span class="team-score">${team.score} pts</span>
+        </div>
+      `).join('');
+    }
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Dat Tin - Scoreboard Display Entry Point
+ */
+import { ScoreboardDisplay } from './scoreboard-broadcast.js';
+import { RemoteGuest } from './remote-play.js';
+
+/**
+ * Start listening for the game once the page is ready
+ * Opened as scoreboard.html#remote, the page pairs with a host phone instead.
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  if (window.location.hash === '#remote') {
+    if (!('RTCPeerConnection' in window)) {
+      document.getElementById('display-hint').textContent =
+        'This browser cannot link to another phone.';
+      return;
+    }
+
+    new RemoteGuest();
+    return;
+  }
+
+  if (!('BroadcastChannel' in window)) {
+    document.getElementById('display-hint').textContent =
+      'This browser cannot show a second-screen scoreboard.';
+    return;
+  }
+  
+  new ScoreboardDisplay();
+});
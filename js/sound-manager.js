@@ -1,123 +1,204 @@
 /**
  * Sound Manager - Handles all audio functionality
+ * Sound effects and music play through separate volume controls; spoken
+ * announcements follow the sound effects volume.
  */
 import { GAME_CONFIG } from './constants.js';
+import { readStorage, writeStorage } from './storage.js';
+import { SOUND_PACKS } from './sound-packs.js';
+import { MusicPlayer } from './music-player.js';
+import { Announcer, PHRASE_SETS } from './announcer.js';
 
 export class SoundManager {
   constructor() {
     this.ctx = null;
-    this.enabled = true;
-    this.sounds = {
-      correct: new Audio(GAME_CONFIG.AUDIO_PATHS.correct),
-      timeup: new Audio(GAME_CONFIG.AUDIO_PATHS.timeup)
+    this.sfxBus = null;
+    this.musicBus = null;
+    this.music = null;
+    this.onInterrupted = null; // Called when the system takes the audio, e.g. for a phone call
+    this.lastTickSecond = null;
+
+    this.settings = {
+      ...GAME_CONFIG.DEFAULT_SOUND,
+      ...readStorage(GAME_CONFIG.STORAGE_KEYS.SOUND, {})
     };
+    if (!SOUND_PACKS[this.settings.pack]) {
+      this.settings.pack = GAME_CONFIG.DEFAULT_SOUND.pack;
+    }
+    if (!PHRASE_SETS[this.settings.voice]) {
+      this.settings.voice = 'off';
+    }
+
+    this.announcer = new Announcer();
+    this.announcer.voice = this.settings.voice;
+    this.announcer.volume = this.settings.sfxVolume;
   }
 
   /**
    * Initialize audio context
+   * Browsers only allow audio to start from a tap or key press.
    */
   init() {
     if (!this.ctx) {
       const AudioContext = window.AudioContext || window.webkitAudioContext;
       this.ctx = new AudioContext();
+
+      this.sfxBus = this.ctx.createGain();
+      this.musicBus = this.ctx.createGain();
+      this.sfxBus.connect(this.ctx.destination);
+      this.musicBus.connect(this.ctx.destination);
+      this.applyVolumes();
+      this.music = new MusicPlayer(this.ctx, this.musicBus);
+
+      // iOS interrupts audio for a phone call without hiding the page
+      this.ctx.onstatechange = () => {
+        if (this.ctx.state === 'interrupted') {
+          this.onInterrupted?.();
+        }
+      };
     }
-    
+
     if (this.ctx.state === 'suspended') {
       this.ctx.resume();
     }
-    
-    // Preload sounds
-    this.sounds.correct.load();
-    this.sounds.timeup.load();
   }
 
   /**
-   * Toggle sound on/off
-   * @param {HTMLElement} button - Sound button element to update
+   * Play the game's sounds by subscribing to its events
+   * @param {GameManager} game - Game to play sounds for
    */
-  toggle(button) {
-    this.enabled = !this.enabled;
-    if (button) {
-      button.textContent = this.enabled ? '🔊' : '🔇';
-    }
-    if (this.enabled) {
-      this.init();
-    }
+  bindGame(game) {
+    game.on('getReady', ({ team, describer }) => this.announcer.announce('getReady', team.name, describer));
+    game.on('countdown', ({ count }) => {
+      this.play(count > 0 ? 'countdown' : 'go');
+      if (count > 0 && count <= 3) this.announcer.announce('count', count);
+    });
+    game.on('roundStart', ({ timeLeft, timeLeftMs }) => {
+      this.announcer.announce('go');
+      this.lastTickSecond = timeLeft;
+      this.updateMusicIntensity(timeLeftMs);
+      this.startMusic();
+    });
+    game.on('tick', ({ timeLeft, timeLeftMs }) => {
+      this.updateMusicIntensity(timeLeftMs);
+      if (timeLeft === this.lastTickSecond) return;
+      this.lastTickSecond = timeLeft;
+      if (timeLeft > 0 && timeLeft <= GAME_CONFIG.TICKING_SECONDS) this.play('tick');
+      if (timeLeft === 10) this.announcer.announce('tenSecondsLeft');
+    });
+    game.on('cardResult', ({ status }) => {
+      if (status === 'correct') {
+        this.music?.duck();
+        this.play('correct');
+      }
+      if (status === 'skipped') this.play('pass');
+      if (status === 'buzzed') this.play('buzz');
+    });
+    game.on('stealAward', ({ stolenBy }) => {
+      if (stolenBy !== null) this.play('correct');
+    });
+    game.on('timeUp', () => {
+      this.play('timeUp');
+      this.announcer.announce('timeUp');
+    });
+    game.on('roundEnd', ({ team, roundScore }) => this.announcer.announce('roundResult', team.name, roundScore));
+
+    // Music runs only while the clock does
+    game.on('pause', ({ isPaused }) => (isPaused ? this.music?.stop() : this.startMusic()));
+    game.on('review', () => this.music?.stop(GAME_CONFIG.MUSIC.FADE_TIME));
+    game.on('reset', () => this.music?.stop());
   }
 
   /**
-   * Play a tone using Web Audio API
-   * @param {number} freq - Frequency in Hz
-   * @param {number} duration - Duration in seconds
-   * @param {string} type - Oscillator type ('sine', 'square', 'sawtooth', 'triangle')
+   * Start the backing music unless it is turned all the way down
    */
-  playTone(freq, duration, type = 'sine') {
-    if (!this.enabled || !this.ctx) return;
-    
-    try {
-      const osc = this.ctx.createOscillator();
-      const gain = this.ctx.createGain();
-      
-      osc.type = type;
-      osc.frequency.value = freq;
-      
-      gain.gain.setValueAtTime(0.1, this.ctx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.01, this.ctx.currentTime + duration);
-      
-      osc.connect(gain);
-      gain.connect(this.ctx.destination);
-      
-      osc.start();
-      osc.stop(this.ctx.currentTime + duration);
-    } catch (e) {
-      console.error('Audio Error:', e);
+  startMusic() {
+    if (this.settings.musicVolume > 0) {
+      this.music?.start();
     }
   }
 
   /**
-   * Play a named sound effect
-   * @param {string} name - Sound name ('correct' or 'timeup')
+   * Speed the music up over the last seconds of a turn
+   * @param {number} timeLeftMs - Time left in the turn
    */
-  playSound(name) {
-    if (!this.enabled) return;
-    
-    const sound = this.sounds[name];
-    if (sound) {
-      sound.currentTime = 0;
-      sound.play().catch(e => {
-        console.log('Audio play failed, falling back to beep:', e);
-        // Fallback to tone
-        if (name === 'correct') this.playTone(600, 0.1, 'sine');
-        if (name === 'timeup') this.playTone(80, 1.0, 'sawtooth');
-      });
-    }
+  updateMusicIntensity(timeLeftMs) {
+    this.music?.setIntensity(1 - timeLeftMs / (GAME_CONFIG.MUSIC.RAMP_SECONDS * 1000));
   }
 
   /**
-   * Play countdown beep
+   * Set the sound effects or music volume
+   * @param {string} channel - 'sfx' or 'music'
+   * @param {number} volume - 0 (off) to 1
    */
-  countdownBeep() {
-    this.playTone(600, 0.1, 'sine');
+  setVolume(channel, volume) {
+    this.settings[`${channel}Volume`] = Math.min(1, Math.max(0, volume));
+    this.announcer.volume = this.settings.sfxVolume;
+    this.applyVolumes();
+    this.save();
   }
 
   /**
-   * Play "go" beep
+   * Switch sound pack and play a sample of it
+   * @param {string} pack - Pack id from SOUND_PACKS
    */
-  goBeep() {
-    this.playTone(800, 0.3, 'square');
+  setPack(pack) {
+    if (!SOUND_PACKS[pack]) return;
+
+    this.settings.pack = pack;
+    this.save();
+    this.play('correct');
   }
 
   /**
-   * Play correct answer sound
+   * Choose the announcer's phrase set and let it say something
+   * @param {string} voice - 'off' or a PHRASE_SETS key
    */
-  playCorrect() {
-    this.playSound('correct');
+  setVoice(voice) {
+    this.settings.voice = PHRASE_SETS[voice] ? voice : 'off';
+    this.announcer.voice = this.settings.voice;
+    this.save();
+    this.announcer.announce('go');
   }
 
   /**
-   * Play time's up sound
+   * Check whether both volumes are turned all the way down
+   * @returns {boolean}
    */
-  playTimeUp() {
-    this.playSound('timeup');
+  isMuted() {
+    return this.settings.sfxVolume === 0 && this.settings.musicVolume === 0;
+  }
+
+  /**
+   * Set the bus gains from the settings
+   */
+  applyVolumes() {
+    if (!this.ctx) return;
+
+    // Squared so the slider feels even to the ear
+    const now = this.ctx.currentTime;
+    this.sfxBus.gain.setTargetAtTime(this.settings.sfxVolume ** 2, now, 0.02);
+    this.musicBus.gain.setTargetAtTime(this.settings.musicVolume ** 2, now, 0.02);
+  }
+
+  /**
+   * Persist the sound settings
+   */
+  save() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.SOUND, this.settings);
+  }
+
+  /**
+   * Play a sound effect from the current pack
+   * @param {string} name - countdown, go, correct, pass, buzz, timeUp or tick
+   */
+  play(name) {
+    if (!this.ctx || this.settings.sfxVolume === 0) return;
+
+    try {
+      SOUND_PACKS[this.settings.pack][name]?.(this.ctx, this.sfxBus);
+    } catch (e) {
+      console.error('Audio Error:', e);
+    }
   }
 }
@@ -0,0 +1,125 @@
+/**
+ * Sound Packs - Sound effects synthesized with Web Audio, so there are no files to load
+ * Each pack maps a sound name to a function that plays it into an output node.
+ * Sounds: countdown, go, correct, pass, buzz, timeUp and tick. The tone and noise
+ * voices are shared with the music player.
+ */
+
+// One second of white noise per audio context, shared by every noisy sound
+const noiseBuffers = new WeakMap();
+
+/**
+ * Play an enveloped oscillator, optionally gliding in pitch
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} output - Node to play into
+ * @param {Object} options - { freq, endFreq, type, start, duration, volume }
+ */
+export const tone = (ctx, output, { freq, endFreq = freq, type = 'sine', start = 0, duration, volume = 0.3 }) => {
+  const t = ctx.currentTime + start;
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, t);
+  if (endFreq !== freq) {
+    osc.frequency.exponentialRampToValueAtTime(endFreq, t + duration);
+  }
+
+  gain.gain.setValueAtTime(0.0001, t);
+  gain.gain.exponentialRampToValueAtTime(volume, t + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+
+  osc.connect(gain);
+  gain.connect(output);
+  osc.start(t);
+  osc.stop(t + duration + 0.05);
+};
+
+/**
+ * Play a burst of filtered noise
+ * @param {AudioContext} ctx - Audio context
+ * @param {AudioNode} output - Node to play into
+ * @param {Object} options - { freq, q, filter, start, duration, volume }
+ */
+export const noise = (ctx, output, { freq, q = 1, filter = 'bandpass', start = 0, duration, volume = 0.3 }) => {
+  let buffer = noiseBuffers.get(ctx);
+  if (!buffer) {
+    buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    noiseBuffers.set(ctx, buffer);
+  }
+
+  const t = ctx.currentTime + start;
+  const source = ctx.createBufferSource();
+  const shape = ctx.createBiquadFilter();
+  const gain = ctx.createGain();
+
+  source.buffer = buffer;
+  shape.type = filter;
+  shape.frequency.value = freq;
+  shape.Q.value = q;
+  gain.gain.setValueAtTime(0.0001, t);
+  gain.gain.exponentialRampToValueAtTime(volume, t + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, t + duration);
+
+  source.connect(shape);
+  shape.connect(gain);
+  gain.connect(output);
+  source.start(t);
+  source.stop(t + duration + 0.05);
+};
+
+export const SOUND_PACKS = {
+  // Talking drum, shekere, agogo and a party horn
+  naija: {
+    countdown: (ctx, out) => tone(ctx, out, { freq: 1100, endFreq: 900, duration: 0.08, volume: 0.35 }),
+    go: (ctx, out) => {
+      // Agogo bell: low then high
+      tone(ctx, out, { freq: 660, duration: 0.2, volume: 0.3 });
+      tone(ctx, out, { freq: 990, duration: 0.2, volume: 0.15 });
+      tone(ctx, out, { freq: 880, start: 0.15, duration: 0.3, volume: 0.3 });
+      tone(ctx, out, { freq: 1320, start: 0.15, duration: 0.3, volume: 0.15 });
+    },
+    correct: (ctx, out) => {
+      // Talking drum: the squeezed head bends the pitch up, then lets it fall
+      noise(ctx, out, { freq: 400, filter: 'lowpass', duration: 0.05, volume: 0.4 });
+      tone(ctx, out, { freq: 140, endFreq: 230, duration: 0.22, volume: 0.7 });
+      noise(ctx, out, { freq: 400, filter: 'lowpass', start: 0.18, duration: 0.05, volume: 0.4 });
+      tone(ctx, out, { freq: 240, endFreq: 120, start: 0.18, duration: 0.4, volume: 0.7 });
+    },
+    pass: (ctx, out) => {
+      // Shekere: beads against the gourd, cha-ka-cha
+      [0, 0.09, 0.15].forEach((start, i) => {
+        noise(ctx, out, { freq: 7000, q: 0.8, start, duration: i === 2 ? 0.12 : 0.06, volume: 0.45 });
+      });
+    },
+    buzz: (ctx, out) => {
+      tone(ctx, out, { freq: 110, type: 'sawtooth', duration: 0.6, volume: 0.2 });
+      tone(ctx, out, { freq: 117, type: 'square', duration: 0.6, volume: 0.12 });
+    },
+    timeUp: (ctx, out) => {
+      // Party horn chord sagging at the end
+      [233, 294, 349].forEach(freq => {
+        tone(ctx, out, { freq, endFreq: freq * 0.94, type: 'sawtooth', duration: 1.2, volume: 0.12 });
+      });
+    },
+    tick: (ctx, out) => noise(ctx, out, { freq: 4000, filter: 'highpass', duration: 0.03, volume: 0.25 })
+  },
+
+  // The original plain beeps
+  classic: {
+    countdown: (ctx, out) => tone(ctx, out, { freq: 600, duration: 0.1, volume: 0.1 }),
+    go: (ctx, out) => tone(ctx, out, { freq: 800, type: 'square', duration: 0.3, volume: 0.1 }),
+    correct: (ctx, out) => {
+      tone(ctx, out, { freq: 600, duration: 0.1, volume: 0.15 });
+      tone(ctx, out, { freq: 900, start: 0.1, duration: 0.15, volume: 0.15 });
+    },
+    pass: (ctx, out) => tone(ctx, out, { freq: 400, duration: 0.12, volume: 0.1 }),
+    buzz: (ctx, out) => tone(ctx, out, { freq: 120, type: 'sawtooth', duration: 0.5, volume: 0.1 }),
+    timeUp: (ctx, out) => tone(ctx, out, { freq: 80, type: 'sawtooth', duration: 1.0, volume: 0.15 }),
+    tick: (ctx, out) => tone(ctx, out, { freq: 1000, duration: 0.03, volume: 0.08 })
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Storage - Local persistence helpers
+ */
+
+/**
+ * Reads and parses a JSON value from local storage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when the key is missing or unreadable
+ * @returns {*} - Parsed value or fallback
+ */
+export const readStorage = (key, fallback = null) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`Error reading "${key}" from storage:`, error);
+    return fallback;
+  }
+};
+
+/**
+ * Serializes and writes a value to local storage
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} - Whether the write succeeded
+ */
+export const writeStorage = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.error(`Error writing "${key}" to storage:`, error);
+    return false;
+  }
+};
+
+/**
+ * Removes a value from local storage
+ * @param {string} key - Storage key
+ */
+export const removeStorage = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.error(`Error removing "${key}" from storage:`, error);
+  }
+};
@@ -0,0 +1,265 @@
+/**
+ * Tournament - Knockout and round-robin brackets of two-team matches
+ */
+import { GAME_CONFIG } from './constants.js';
+import { readStorage, writeStorage, removeStorage } from './storage.js';
+
+export class Tournament {
+  /**
+   * @param {Object} data - { format, entrants, rounds } as built by Tournament.create
+   */
+  constructor({ format, entrants, rounds }) {
+    this.format = format;
+
+    // Entrants are in seed order; matches refer to them by index
+    this.entrants = entrants;
+
+    // Each round is an array of { id, teams: [a, b], scores, winner }
+    this.rounds = rounds;
+  }
+
+  /**
+   * Create a tournament for the given teams, seeded in the order given
+   * @param {string} format - One of GAME_CONFIG.TOURNAMENT_FORMATS
+   * @param {Array} teams - Team objects with name, color and players
+   * @returns {Tournament}
+   */
+  static create(format, teams) {
+    const entrants = teams.map(team => ({
+      name: team.name,
+      color: team.color,
+      players: [...team.players]
+    }));
+    const rounds = format === GAME_CONFIG.TOURNAMENT_FORMATS.ROUND_ROBIN
+      ? Tournament.buildRoundRobin(entrants.length)
+      : Tournament.buildKnockout(entrants.length);
+
+    const tournament = new Tournament({ format, entrants, rounds });
+    tournament.advanceByes();
+    return tournament;
+  }
+
+  /**
+   * Build an empty knockout bracket, giving byes to the top seeds
+   * Later rounds are filled in as winners come through.
+   * @param {number} teamCount - Number of entrants
+   * @returns {Array<Array>} - Rounds of matches
+   */
+  static buildKnockout(teamCount) {
+    const roundCount = Math.ceil(Math.log2(teamCount));
+    const size = 2 ** roundCount;
+
+    // Standard bracket order keeps seeds 1 and 2 apart until the final
+    let order = [1];
+    while (order.length < size) {
+      const total = order.length * 2 + 1;
+      order = order.flatMap(seed => [seed, total - seed]);
+    }
+
+    return Array.from({ length: roundCount }, (_, round) => {
+      const matchCount = size / 2 ** (round + 1);
+      return Array.from({ length: matchCount }, (_, index) => {
+        const teams = round === 0
+          ? [order[index * 2], order[index * 2 + 1]].map(seed => (seed <= teamCount ? seed - 1 : null))
+          : [null, null];
+        return { id: `${round}-${index}`, teams, scores: null, winner: null };
+      });
+    });
+  }
+
+  /**
+   * Build a round-robin schedule with the circle method
+   * @param {number} teamCount - Number of entrants
+   * @returns {Array<Array>} - Rounds of matches
+   */
+  static buildRoundRobin(teamCount) {
+    const slots = Array.from({ length: teamCount }, (_, i) => i);
+    if (teamCount % 2) {
+      slots.push(null);
+    }
+
+    const rounds = [];
+    for (let round = 0; round < slots.length - 1; round++) {
+      const matches = [];
+      for (let i = 0; i < slots.length / 2; i++) {
+        const teams = [slots[i], slots[slots.length - 1 - i]];
+        if (!teams.includes(null)) {
+          matches.push({ id: `${round}-${matches.length}`, teams, scores: null, winner: null });
+        }
+      }
+      rounds.push(matches);
+
+      // Keep the first slot fixed and rotate the rest
+      slots.splice(1, 0, slots.pop());
+    }
+    return rounds;
+  }
+
+  /**
+   * Load the tournament in progress from local storage
+   * @returns {Tournament|null}
+   */
+  static load() {
+    const data = readStorage(GAME_CONFIG.STORAGE_KEYS.TOURNAMENT);
+    return data ? new Tournament(data) : null;
+  }
+
+  /**
+   * Forget the stored tournament
+   */
+  static clear() {
+    removeStorage(GAME_CONFIG.STORAGE_KEYS.TOURNAMENT);
+  }
+
+  /**
+   * Save the tournament to local storage
+   */
+  save() {
+    writeStorage(GAME_CONFIG.STORAGE_KEYS.TOURNAMENT, {
+      format: this.format,
+      entrants: this.entrants,
+      rounds: this.rounds
+    });
+  }
+
+  /**
+   * Send first-round teams without an opponent straight through
+   */
+  advanceByes() {
+    if (this.format !== GAME_CONFIG.TOURNAMENT_FORMATS.KNOCKOUT) return;
+
+    this.rounds[0].forEach((match, index) => {
+      const present = match.teams.filter(team => team !== null);
+      if (present.length === 1) {
+        match.winner = present[0];
+        this.placeWinner(0, index, match.winner);
+      }
+    });
+  }
+
+  /**
+   * Put a knockout winner into their slot in the next round
+   * @param {number} round - Round the match was in
+   * @param {number} index - Match index within the round
+   * @param {number} winner - Entrant index
+   */
+  placeWinner(round, index, winner) {
+    const nextRound = this.rounds[round + 1];
+    if (nextRound) {
+      nextRound[Math.floor(index / 2)].teams[index % 2] = winner;
+    }
+  }
+
+  /**
+   * Find a match by id
+   * @param {string} id - Match id
+   * @returns {Object|null}
+   */
+  getMatch(id) {
+    return this.rounds.flat().find(match => match.id === id) || null;
+  }
+
+  /**
+   * Get the next match that is ready to be played
+   * @returns {Object|null} - Match, or null when the tournament is complete
+   */
+  getNextMatch() {
+    return this.rounds.flat().find(match =>
+      match.winner === null && match.teams.every(team => team !== null)
+    ) || null;
+  }
+
+  /**
+   * Record a finished match and move the winner on
+   * Matches end after sudden death, so a draw only happens if one was abandoned;
+   * the higher seed goes through in that case.
+   * @param {string} id - Match id
+   * @param {Array<number>} scores - Final scores, in the match's team order
+   */
+  recordResult(id, scores) {
+    const match = this.getMatch(id);
+    if (!match) return;
+
+    match.scores = scores;
+    match.winner = scores[1] > scores[0] ? match.teams[1] : match.teams[0];
+
+    if (this.format === GAME_CONFIG.TOURNAMENT_FORMATS.KNOCKOUT) {
+      const [round, index] = id.split('-').map(Number);
+      this.placeWinner(round, index, match.winner);
+    }
+    this.save();
+  }
+
+  /**
+   * Check whether every match has been played
+   * @returns {boolean}
+   */
+  isComplete() {
+    return this.getNextMatch() === null;
+  }
+
+  /**
+   * Get the league table: wins first, then points difference, then points scored
+   * @returns {Array} - { index, name, color, played, wins, pointsFor, pointsAgainst }
+   */
+  getStandings() {
+    const standings = this.entrants.map((entrant, index) => ({
+      index,
+      name: entrant.name,
+      color: entrant.color,
+      played: 0,
+      wins: 0,
+      pointsFor: 0,
+      pointsAgainst: 0
+    }));
+
+    this.rounds.flat().forEach(match => {
+      if (!match.scores) return;
+      match.teams.forEach((team, side) => {
+        const row = standings[team];
+        row.played++;
+        row.pointsFor += match.scores[side];
+        row.pointsAgainst += match.scores[1 - side];
+        if (match.winner === team) {
+          row.wins++;
+        }
+      });
+    });
+
+    return standings.sort((a, b) =>
+      b.wins - a.wins ||
+      (b.pointsFor - b.pointsAgainst) - (a.pointsFor - a.pointsAgainst) ||
+      b.pointsFor - a.pointsFor ||
+      a.index - b.index
+    );
+  }
+
+  /**
+   * Get the tournament winner once every match is played
+   * @returns {Object|null} - Entrant, or null while matches remain
+   */
+  getChampion() {
+    if (!this.isComplete()) return null;
+
+    if (this.format === GAME_CONFIG.TOURNAMENT_FORMATS.KNOCKOUT) {
+      const final = this.rounds[this.rounds.length - 1][0];
+      return this.entrants[final.winner];
+    }
+    return this.entrants[this.getStandings()[0].index];
+  }
+
+  /**
+   * Get a display name for a round
+   * @param {number} round - Round index
+   * @returns {string}
+   */
+  getRoundName(round) {
+    if (this.format !== GAME_CONFIG.TOURNAMENT_FORMATS.KNOCKOUT) {
+      return `Round ${round + 1}`;
+    }
+
+    const remaining = this.rounds.length - round;
+    const names = { 1: 'Final', 2: 'Semi-finals', 3: 'Quarter-finals' };
+    return names[remaining] || `Round of ${2 ** remaining}`;
+  }
+}
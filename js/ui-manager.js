@@ -2,28 +2,41 @@
  * UI Manager - Handles all UI updates and rendering
  */
 import { GAME_CONFIG } from './constants.js';
-import { animateElement, getElement, getElements } from './utils.js';
+import { animateElement, escapeHtml, getElement, getElements, downloadFile } from './utils.js';
+import { formatInput } from './input-controls.js';
+import { drawQr } from './qr-code.js';
+import { drawResultsCard, canvasToPng } from './results-card.js';
 
 export class UIManager {
   constructor() {
     this.screens = {
       welcome: getElement('welcome-screen'),
       teamSelection: getElement('team-selection-screen'),
+      teamSetup: getElement('team-setup-screen'),
+      deckManager: getElement('deck-manager-screen'),
       game: getElement('game-screen'),
       roundOver: getElement('round-over-screen'),
       gameOver: getElement('game-over-screen'),
       getReady: getElement('get-ready-screen'),
-      review: getElement('review-screen')
+      review: getElement('review-screen'),
+      steal: getElement('steal-screen'),
+      tournament: getElement('tournament-screen'),
+      history: getElement('history-screen')
     };
 
     this.displays = {
       score: getElement('score'),
       timer: getElement('timer'),
       targetWord: getElement('target-word'),
+      cardDifficulty: getElement('card-difficulty'),
+      cardInstructions: getElement('card-instructions'),
+      forbiddenSection: getElement('forbidden-section'),
+      countdownMode: getElement('countdown-mode'),
       forbiddenWordsList: getElement('forbidden-words-list'),
       gameCard: getElement('game-card'),
       currentTeamIndicator: getElement('current-team-indicator'),
       scoreboard: getElement('scoreboard'),
+      winnerBanner: getElement('winner-banner'),
       winnerTeamName: getElement('winner-team-name'),
       winnerTeamScore: getElement('winner-team-score'),
       winnerDisplay: getElement('winner-display'),
@@ -31,10 +44,108 @@ export class UIManager {
       finalWinnerTeamScore: getElement('final-winner-team-score'),
       finalScoreboard: getElement('final-scoreboard'),
       countdownNumber: getElement('countdown-number'),
-      countdownMessage: getElement('countdown-message')
+      countdownMessage: getElement('countdown-message'),
+      teamEditors: getElement('team-editors'),
+      playerStats: getElement('player-stats'),
+      matchTarget: getElement('match-target'),
+      matchTargetLabel: getElement('match-target-label'),
+      deckSelector: getElement('deck-selector'),
+      deckListPanel: getElement('deck-list-panel'),
+      deckEditPanel: getElement('deck-edit-panel'),
+      customDeckList: getElement('custom-deck-list'),
+      deckNameInput: getElement('deck-name-input'),
+      deckCardList: getElement('deck-card-list'),
+      settingsOverlay: getElement('settings-overlay'),
+      historySummary: getElement('history-summary'),
+      linkedPhones: getElement('linked-phones'),
+      pairingOverlay: getElement('pairing-overlay'),
+      shortcutsOverlay: getElement('shortcuts-overlay'),
+      shortcutList: getElement('shortcut-list'),
+      pairingStatus: getElement('pairing-status'),
+      pairingQr: getElement('pairing-qr'),
+      pairingOffer: getElement('pairing-offer'),
+      pairingAnswer: getElement('pairing-answer'),
+      pairingVideo: getElement('pairing-video'),
+      scanAnswerBtn: getElement('scan-answer-btn'),
+      tournamentSizeLabel: getElement('tournament-size-label'),
+      tournamentTitle: getElement('tournament-title'),
+      tournamentChampion: getElement('tournament-champion'),
+      tournamentStandings: getElement('tournament-standings'),
+      bracket: getElement('bracket'),
+      historyList: getElement('history-list'),
+      pauseOverlay: getElement('pause-overlay'),
+      pauseMessage: getElement('pause-message'),
+      nextRoundBtn: getElement('next-round-btn'),
+      toast: getElement('toast')
     };
   }
 
+  /**
+   * Render the game by subscribing to its events
+   * @param {GameManager} game - Game to render
+   */
+  bindGame(game) {
+    const showRound = ({ team, describer, timeLeft, timeLeftMs, roundScore, passesRemaining }) => {
+      this.updateScore(roundScore);
+      this.updateTimer(timeLeft, timeLeftMs);
+      this.updateTeamIndicator(team.name, team.color, describer);
+      this.updatePassButton(passesRemaining);
+      this.togglePauseOverlay(false);
+    };
+    const handlers = {
+      stateChange: ({ state }) => this.renderScreen(state),
+      modeChange: ({ duration }) => this.selectTimerOption(duration),
+      matchFormatChange: ({ matchFormat }) => this.updateMatchFormat(matchFormat),
+      decksChange: ({ decks, selectedDecks }) => this.renderDeckOptions(decks, selectedDecks),
+      teamsChange: ({ teams, isTournament }) => {
+        this.renderTeamSetup(teams, GAME_CONFIG.TEAM_COLORS, {
+          onRename: (index, name) => game.renameTeam(index, name),
+          onColor: (index, color) => game.setTeamColor(index, color),
+          onAddPlayer: (index, name) => game.addPlayer(index, name),
+          onRemovePlayer: (index, playerIndex) => game.removePlayer(index, playerIndex)
+        });
+        this.updateTeamSetupMode(isTournament);
+      },
+      tournamentOptionsChange: ({ format, size }) => this.updateTournamentOptions(format, size),
+      bracketChange: ({ tournament }) => this.renderBracket(tournament),
+      tournamentChange: ({ hasTournament }) => this.showTournamentOption(hasTournament),
+      historyChange: ({ view, games, leaderboard }) => this.renderHistory(view, games, leaderboard),
+      cardHistoryReset: () => {
+        this.updateHistorySummary(0);
+        this.showToast('Card history cleared');
+      },
+      reshuffle: () => this.showToast('Deck finished! Reshuffling the cards 🔄'),
+      getReady: ({ mode }) => this.updateModeBanner(mode),
+      countdown: ({ count, team, describer }) => this.updateCountdown(count, team.name, describer),
+      roundStart: showRound,
+      roundRestore: showRound,
+      card: ({ card, mode }) => this.updateCard(card, mode),
+      tick: ({ timeLeft, timeLeftMs }) => this.updateTimer(timeLeft, timeLeftMs),
+      cardResult: ({ roundScore, passesRemaining }) => {
+        this.updateScore(roundScore);
+        this.updatePassButton(passesRemaining);
+      },
+      pause: ({ isPaused, isAuto }) => this.togglePauseOverlay(isPaused, isAuto),
+      review: ({ cards, score }) => this.showReviewScreen(cards, score),
+      reviewChange: ({ cards, score }) => this.showReviewScreen(cards, score),
+      stealCards: ({ cards, teams }) => this.showStealCards(cards, teams, (cardIndex, teamIndex) =>
+        game.awardSteal(cardIndex, teamIndex)
+      ),
+      stealTick: ({ timeLeft }) => this.updateStealTimer(timeLeft),
+      roundOver: ({ teams, isSuddenDeath, nextTeam, progress }) => {
+        this.updateScoreboard(teams, isSuddenDeath ? 'Sudden Death!' : 'Current Leader');
+        this.updateNextRoundButton(nextTeam.name, progress);
+      },
+      gameOver: ({ teams, playerStats, isTournamentMatch }) => {
+        this.updateFinalScoreboard(teams);
+        this.updateGameOverActions(isTournamentMatch);
+        this.updatePlayerStats(playerStats, teams);
+      },
+      reset: () => this.togglePauseOverlay(false)
+    };
+    Object.entries(handlers).forEach(([event, handler]) => game.on(event, handler));
+  }
+
   /**
    * Render the appropriate screen based on game state
    * @param {string} gameState - Current game state
@@ -49,6 +160,12 @@ export class UIManager {
       case GAME_CONFIG.STATES.TEAM_SELECTION:
         this.screens.teamSelection?.classList.add('active');
         break;
+      case GAME_CONFIG.STATES.TEAM_SETUP:
+        this.screens.teamSetup?.classList.add('active');
+        break;
+      case GAME_CONFIG.STATES.DECK_MANAGER:
+        this.screens.deckManager?.classList.add('active');
+        break;
       case GAME_CONFIG.STATES.GET_READY:
         this.screens.getReady?.classList.add('active');
         break;
@@ -58,24 +175,808 @@ export class UIManager {
       case GAME_CONFIG.STATES.REVIEW:
         this.screens.review?.classList.add('active');
         break;
+      case GAME_CONFIG.STATES.STEAL:
+        this.screens.steal?.classList.add('active');
+        break;
       case GAME_CONFIG.STATES.ROUND_OVER:
         this.screens.roundOver?.classList.add('active');
         break;
       case GAME_CONFIG.STATES.GAME_OVER:
         this.screens.gameOver?.classList.add('active');
         break;
+      case GAME_CONFIG.STATES.TOURNAMENT:
+        this.screens.tournament?.classList.add('active');
+        break;
+      case GAME_CONFIG.STATES.HISTORY:
+        this.screens.history?.classList.add('active');
+        break;
+    }
+  }
+
+  /**
+   * Update the match format selector
+   * @param {Object} matchFormat - { mode, rounds, targetPoints }
+   */
+  updateMatchFormat(matchFormat) {
+    getElements('.format-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.format === matchFormat.mode);
+    });
+
+    if (!this.displays.matchTarget || !this.displays.matchTargetLabel) return;
+
+    const { ROUNDS, POINTS } = GAME_CONFIG.MATCH_MODES;
+    this.displays.matchTarget.style.display =
+      matchFormat.mode === ROUNDS || matchFormat.mode === POINTS ? '' : 'none';
+
+    if (matchFormat.mode === ROUNDS) {
+      const plural = matchFormat.rounds === 1 ? 'round' : 'rounds';
+      this.displays.matchTargetLabel.textContent = `${matchFormat.rounds} ${plural} per team`;
+    } else if (matchFormat.mode === POINTS) {
+      this.displays.matchTargetLabel.textContent = `First to ${matchFormat.targetPoints} points`;
+    }
+  }
+
+  /**
+   * Render the deck selector tiles from deck metadata
+   * @param {Array} decks - Array of { id, name, icon, cardCount, description, rating, custom }
+   * @param {Set} selectedDecks - Selected deck ids
+   */
+  renderDeckOptions(decks, selectedDecks) {
+    const selector = this.displays.deckSelector;
+    if (!selector) return;
+
+    const ratingBadges = { teen: '13+', adult: '18+' };
+
+    selector.innerHTML = '';
+    decks.forEach(deck => {
+      const tile = document.createElement('div');
+      tile.className = 'deck-option';
+      tile.classList.toggle('custom', Boolean(deck.custom));
+      tile.classList.toggle('selected', selectedDecks.has(deck.id));
+      tile.dataset.deck = deck.id;
+      tile.title = deck.description || '';
+
+      const badge = ratingBadges[deck.rating];
+      tile.innerHTML = `
+        <span class="deck-icon">${escapeHtml(deck.icon || '🃏')}</span>
+        <span class="deck-info">
+          <span class="deck-name">${escapeHtml(deck.name)}</span>
+          <span class="deck-meta">${deck.cardCount ?? '?'} cards${badge ? ` · ${badge}` : ''}</span>
+        </span>
+      `;
+      selector.appendChild(tile);
+    });
+  }
+
+  /**
+   * Switch the deck manager between the deck list and the deck editor
+   * @param {string} panel - 'list' or 'edit'
+   */
+  showDeckPanel(panel) {
+    if (this.displays.deckListPanel) {
+      this.displays.deckListPanel.style.display = panel === 'list' ? '' : 'none';
+    }
+    if (this.displays.deckEditPanel) {
+      this.displays.deckEditPanel.style.display = panel === 'edit' ? '' : 'none';
+    }
+  }
+
+  /**
+   * Render the list of custom decks
+   * @param {Array} decks - Array of { id, name, cards }
+   * @param {Object} handlers - Callbacks: onEdit, onDelete, onExportJson, onExportCsv
+   */
+  renderDeckList(decks, handlers) {
+    const list = this.displays.customDeckList;
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (decks.length === 0) {
+      list.innerHTML = '<li class="deck-list-empty">No custom decks yet. Create one or import a file.</li>';
+      return;
+    }
+
+    decks.forEach(deck => {
+      const item = document.createElement('li');
+      item.className = 'deck-list-item';
+      item.innerHTML = `
+        <div class="deck-list-info">
+          <span class="deck-list-name">${escapeHtml(deck.name)}</span>
+          <span class="deck-list-count">${deck.cards.length} card${deck.cards.length === 1 ? '' : 's'}</span>
+        </div>
+        <div class="deck-list-actions">
+          <button class="deck-action-btn" data-action="edit">Edit</button>
+          <button class="deck-action-btn" data-action="json">JSON</button>
+          <button class="deck-action-btn" data-action="csv">CSV</button>
+          <button class="deck-action-btn danger" data-action="delete">Delete</button>
+        </div>
+      `;
+
+      const actions = {
+        edit: handlers.onEdit,
+        json: handlers.onExportJson,
+        csv: handlers.onExportCsv,
+        delete: handlers.onDelete
+      };
+      item.querySelectorAll('.deck-action-btn').forEach(btn => {
+        btn.addEventListener('click', () => actions[btn.dataset.action](deck.id));
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the deck editor for a draft deck
+   * @param {Object} draft - { id, name, cards }
+   * @param {Object} handlers - Callbacks: onRename, onCardChange, onRemoveCard
+   */
+  renderDeckEditor(draft, handlers) {
+    const nameInput = this.displays.deckNameInput;
+    const cardList = this.displays.deckCardList;
+    if (!nameInput || !cardList) return;
+
+    nameInput.value = draft.name;
+    nameInput.oninput = (e) => handlers.onRename(e.target.value);
+
+    cardList.innerHTML = '';
+    draft.cards.forEach((card, index) => {
+      const item = document.createElement('li');
+      item.className = 'deck-card-item';
+      const difficultyOptions = Object.entries(GAME_CONFIG.DIFFICULTIES)
+        .map(([key, { label }]) => `<option value="${key}">${label}</option>`)
+        .join('');
+      item.innerHTML = `
+        <input class="deck-card-target" type="text" placeholder="Dat Tin (word to guess)">
+        <input class="deck-card-forbidden" type="text" placeholder="No Talk Am! words, comma separated">
+        <select class="deck-card-difficulty" aria-label="Difficulty">
+          <option value="">No difficulty</option>
+          ${difficultyOptions}
+        </select>
+        <button class="deck-card-remove" aria-label="Remove card">×</button>
+      `;
+
+      const targetInput = item.querySelector('.deck-card-target');
+      const forbiddenInput = item.querySelector('.deck-card-forbidden');
+      const difficultySelect = item.querySelector('.deck-card-difficulty');
+      targetInput.value = card.targetWord;
+      forbiddenInput.value = card.forbiddenWords.join(', ');
+      difficultySelect.value = card.difficulty || '';
+
+      const handleChange = () => handlers.onCardChange(index, {
+        targetWord: targetInput.value,
+        forbiddenWords: forbiddenInput.value.split(','),
+        difficulty: difficultySelect.value
+      });
+      targetInput.addEventListener('input', handleChange);
+      forbiddenInput.addEventListener('input', handleChange);
+      difficultySelect.addEventListener('change', handleChange);
+      item.querySelector('.deck-card-remove').addEventListener('click', () => handlers.onRemoveCard(index));
+
+      cardList.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the game seed in the setup screen
+   * @param {string} seed - Seed text
+   */
+  updateSeed(seed) {
+    const input = getElement('seed-input');
+    if (input) {
+      input.value = seed;
+    }
+  }
+
+  /**
+   * Show a short message that fades away on its own
+   * @param {string} message - Message text
+   * @param {number} duration - Time on screen in milliseconds
+   */
+  showToast(message, duration = 2500) {
+    const toast = this.displays.toast;
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.classList.add('visible');
+    clearTimeout(this.toastTimeout);
+    this.toastTimeout = setTimeout(() => toast.classList.remove('visible'), duration);
+  }
+
+  /**
+   * Show or hide the pause overlay
+   * @param {boolean} isPaused - Whether the round is paused
+   * @param {boolean} isAuto - Whether the game paused itself while the app was away
+   */
+  togglePauseOverlay(isPaused, isAuto = false) {
+    if (this.displays.pauseOverlay) {
+      this.displays.pauseOverlay.style.display = isPaused ? 'flex' : 'none';
+    }
+    if (this.displays.pauseMessage) {
+      this.displays.pauseMessage.textContent = isAuto ? 'Paused while you were away' : 'Game Paused';
+    }
+  }
+
+  /**
+   * Name the next team on the between-rounds button
+   * @param {string} teamName - Team playing next
+   * @param {string} progress - Match progress label
+   */
+  updateNextRoundButton(teamName, progress) {
+    if (this.displays.nextRoundBtn) {
+      this.displays.nextRoundBtn.textContent = `Start ${teamName}'s Turn (${progress})`;
+    }
+  }
+
+  /**
+   * Open or close the settings overlay
+   * @param {boolean} open - Whether the overlay should be shown
+   */
+  toggleSettings(open) {
+    if (this.displays.settingsOverlay) {
+      this.displays.settingsOverlay.style.display = open ? 'flex' : 'none';
+    }
+  }
+
+  /**
+   * Open or close the shortcuts overlay
+   * @param {boolean} open - Whether the overlay should be shown
+   */
+  toggleShortcuts(open) {
+    if (!this.displays.shortcutsOverlay) return;
+
+    this.displays.shortcutsOverlay.style.display = open ? 'flex' : 'none';
+    if (open) this.toggleSettings(false);
+  }
+
+  /**
+   * Check whether the shortcuts overlay is showing
+   * @returns {boolean}
+   */
+  isShortcutsOpen() {
+    return Boolean(this.displays.shortcutsOverlay) && this.displays.shortcutsOverlay.style.display !== 'none';
+  }
+
+  /**
+   * Check whether the settings, pairing or shortcuts overlay is showing
+   * @returns {boolean}
+   */
+  isOverlayOpen() {
+    const { settingsOverlay, pairingOverlay, shortcutsOverlay } = this.displays;
+    return [settingsOverlay, pairingOverlay, shortcutsOverlay].some(overlay => (
+      overlay && overlay.style.display !== 'none'
+    ));
+  }
+
+  /**
+   * List each shortcut with its keys and gamepad buttons
+   * @param {Object} bindings - { command: { keys, buttons } }
+   * @param {string|null} capturing - Command waiting for a new key
+   */
+  renderShortcuts(bindings, capturing) {
+    const list = this.displays.shortcutList;
+    if (!list) return;
+
+    list.innerHTML = Object.entries(bindings).map(([command, { keys, buttons }]) => {
+      const inputs = capturing === command
+        ? 'Press a key or button…'
+        : [
+          ...keys.map(key => formatInput('keys', key)),
+          ...buttons.map(button => formatInput('buttons', button))
+        ].map(name => `<kbd>${escapeHtml(name)}</kbd>`).join('');
+      return `
+        <li class="shortcut-item${capturing === command ? ' capturing' : ''}">
+          <span class="shortcut-label">${escapeHtml(GAME_CONFIG.SHORTCUTS[command].label)}</span>
+          <span class="shortcut-keys">${inputs}</span>
+          <button class="btn-link shortcut-change-btn" data-command="${command}">Change</button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Open or close the phone pairing overlay
+   * @param {boolean} open - Whether the overlay should be shown
+   * @param {boolean} canScan - Whether the camera can scan reply codes
+   */
+  togglePairing(open, canScan = false) {
+    const { pairingOverlay, pairingAnswer, pairingVideo, scanAnswerBtn } = this.displays;
+    if (!pairingOverlay) return;
+
+    pairingOverlay.style.display = open ? 'flex' : 'none';
+    if (open) {
+      this.toggleSettings(false);
+      if (pairingAnswer) pairingAnswer.value = '';
+      if (scanAnswerBtn) scanAnswerBtn.style.display = canScan ? '' : 'none';
+    }
+    if (pairingVideo) pairingVideo.style.display = 'none';
+  }
+
+  /**
+   * Show the pairing code as text and as a QR code
+   * @param {string} code - Offer code, or empty while it is being made
+   */
+  showPairingOffer(code) {
+    const { pairingQr, pairingOffer } = this.displays;
+    if (pairingOffer) pairingOffer.value = code;
+    if (pairingQr) {
+      pairingQr.style.display = code ? '' : 'none';
+      if (code) drawQr(pairingQr, code);
+    }
+  }
+
+  /**
+   * Show a pairing status message
+   * @param {string} message - Status text
+   */
+  setPairingStatus(message) {
+    if (this.displays.pairingStatus) {
+      this.displays.pairingStatus.textContent = message;
+    }
+  }
+
+  /**
+   * Update the linked phone count in settings
+   * @param {number} count - Phones currently linked
+   */
+  updateLinkedPhones(count) {
+    if (this.displays.linkedPhones) {
+      this.displays.linkedPhones.textContent = count === 0
+        ? 'No phones linked. Link other phones on the same Wi-Fi.'
+        : `${count} phone${count === 1 ? '' : 's'} linked.`;
+    }
+  }
+
+  /**
+   * Show the sound settings and the sound button's icon
+   * @param {Object} settings - { pack, sfxVolume, musicVolume, voice }
+   * @param {boolean} isMuted - Whether both volumes are off
+   */
+  updateSoundSettings(settings, isMuted) {
+    const sfxVolume = getElement('sfx-volume');
+    const musicVolume = getElement('music-volume');
+    const soundBtn = getElement('sound-btn');
+    if (sfxVolume) sfxVolume.value = Math.round(settings.sfxVolume * 100);
+    if (musicVolume) musicVolume.value = Math.round(settings.musicVolume * 100);
+    if (soundBtn) soundBtn.textContent = isMuted ? '🔇' : '🔊';
+
+    getElements('.sound-pack-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.pack === settings.pack);
+    });
+    getElements('.voice-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.voice === settings.voice);
+    });
+  }
+
+  /**
+   * Highlight the chosen gesture settings
+   * @param {Object} settings - { swipe, tilt }
+   */
+  updateGestureSettings(settings) {
+    getElements('.gesture-btn').forEach(btn => {
+      const enabled = btn.dataset.enabled === 'true';
+      btn.classList.toggle('selected', settings[btn.dataset.gesture] === enabled);
+    });
+  }
+
+  /**
+   * Update the card history summary in settings
+   * @param {number} seenCount - Cards remembered from recent games
+   */
+  updateHistorySummary(seenCount) {
+    if (this.displays.historySummary) {
+      this.displays.historySummary.textContent = seenCount === 0
+        ? 'No cards remembered yet.'
+        : `${seenCount} card${seenCount === 1 ? '' : 's'} from your last ${GAME_CONFIG.HISTORY_SESSIONS} games will be drawn last.`;
+    }
+  }
+
+  /**
+   * Show or hide the "Continue game" option on the welcome screen
+   * @param {boolean} hasSavedGame - Whether a game can be resumed
+   */
+  showContinueOption(hasSavedGame) {
+    const continueBtn = getElement('continue-game-btn');
+    const playNowBtn = getElement('play-now-btn');
+    if (continueBtn) {
+      continueBtn.style.display = hasSavedGame ? '' : 'none';
+    }
+    if (playNowBtn) {
+      playNowBtn.textContent = hasSavedGame ? 'New Game' : 'Play Now';
+      playNowBtn.classList.toggle('btn-primary', !hasSavedGame);
+      playNowBtn.classList.toggle('btn-secondary', hasSavedGame);
     }
   }
 
+  /**
+   * Show or hide the tournament bracket option on the welcome screen
+   * @param {boolean} hasTournament - Whether a tournament is in progress
+   */
+  showTournamentOption(hasTournament) {
+    const bracketBtn = getElement('open-bracket-btn');
+    if (bracketBtn) {
+      bracketBtn.style.display = hasTournament ? '' : 'none';
+    }
+  }
+
+  /**
+   * Update the tournament format selector and team count
+   * @param {string} format - One of GAME_CONFIG.TOURNAMENT_FORMATS
+   * @param {number} size - Number of teams
+   */
+  updateTournamentOptions(format, size) {
+    getElements('.tournament-format-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.format === format);
+    });
+    if (this.displays.tournamentSizeLabel) {
+      this.displays.tournamentSizeLabel.textContent = `${size} teams`;
+    }
+  }
+
+  /**
+   * Label the team setup step for a single game or a tournament
+   * @param {boolean} isTournament - Whether the teams are tournament entrants
+   */
+  updateTeamSetupMode(isTournament) {
+    const startBtn = getElement('start-game-btn');
+    if (startBtn) {
+      startBtn.textContent = isTournament ? 'Draw Bracket' : 'Start Game';
+    }
+  }
+
+  /**
+   * Render the tournament bracket, league table and next match
+   * @param {Tournament} tournament - Tournament in progress
+   */
+  renderBracket(tournament) {
+    const bracket = this.displays.bracket;
+    if (!bracket) return;
+
+    const isKnockout = tournament.format === GAME_CONFIG.TOURNAMENT_FORMATS.KNOCKOUT;
+    const nextMatch = tournament.getNextMatch();
+    const champion = tournament.getChampion();
+
+    if (this.displays.tournamentTitle) {
+      this.displays.tournamentTitle.textContent = isKnockout ? 'Knockout' : 'League';
+    }
+
+    if (this.displays.tournamentChampion) {
+      this.displays.tournamentChampion.style.display = champion ? '' : 'none';
+      if (champion) {
+        this.displays.tournamentChampion.style.background =
+          `linear-gradient(135deg, ${champion.color}, var(--yellow-300))`;
+        this.displays.tournamentChampion.innerHTML = `
+          <div class="final-trophy">🏆</div>
+          <div class="victory-message">Tournament Champion!</div>
+          <div class="final-winner-team">${escapeHtml(champion.name)}</div>
+        `;
+      }
+    }
+
+    // League table (round robin only)
+    const standings = this.displays.tournamentStandings;
+    if (standings) {
+      standings.innerHTML = '';
+      standings.style.display = isKnockout ? 'none' : '';
+      if (!isKnockout) {
+        tournament.getStandings().forEach((row, position) => {
+          const item = document.createElement('div');
+          item.className = 'scoreboard-item';
+          item.style.backgroundColor = row.color;
+          item.innerHTML = `
+            <span class="team-name">${position + 1}. ${escapeHtml(row.name)}</span>
+            <span class="team-score">${row.wins}W · ${row.pointsFor - row.pointsAgainst >= 0 ? '+' : ''}${row.pointsFor - row.pointsAgainst}</span>
+          `;
+          standings.appendChild(item);
+        });
+      }
+    }
+
+    // Rounds as columns (knockout) or a list of fixtures (league)
+    bracket.innerHTML = '';
+    bracket.classList.toggle('bracket-league', !isKnockout);
+    tournament.rounds.forEach((matches, round) => {
+      const column = document.createElement('div');
+      column.className = 'bracket-round';
+      column.innerHTML = `<h3 class="bracket-round-name">${tournament.getRoundName(round)}</h3>`;
+
+      matches.forEach(match => {
+        const item = document.createElement('div');
+        item.className = 'bracket-match';
+        item.classList.toggle('next', nextMatch?.id === match.id);
+
+        match.teams.forEach((team, side) => {
+          const entrant = team === null ? null : tournament.entrants[team];
+          const row = document.createElement('div');
+          row.className = 'bracket-team';
+          row.classList.toggle('winner', team !== null && match.winner === team);
+          row.classList.toggle('empty', !entrant);
+
+          // Empty first-round slots are byes; later ones wait for a winner
+          const name = entrant ? escapeHtml(entrant.name) : round === 0 ? 'Bye' : 'TBD';
+          const score = match.scores ? match.scores[side] : '';
+          row.innerHTML = `
+            <span class="bracket-swatch" style="background-color: ${entrant ? entrant.color : 'transparent'}"></span>
+            <span class="bracket-team-name">${name}</span>
+            <span class="bracket-score">${score}</span>
+          `;
+          item.appendChild(row);
+        });
+        column.appendChild(item);
+      });
+      bracket.appendChild(column);
+    });
+
+    // Actions
+    const playBtn = getElement('play-match-btn');
+    if (playBtn) {
+      playBtn.style.display = nextMatch ? '' : 'none';
+      if (nextMatch) {
+        const [home, away] = nextMatch.teams.map(team => tournament.entrants[team].name);
+        playBtn.textContent = `Play ${home} vs ${away}`;
+      }
+    }
+    const endBtn = getElement('end-tournament-btn');
+    if (endBtn) {
+      endBtn.textContent = champion ? 'Finish Tournament' : 'Abandon Tournament';
+    }
+  }
+
+  /**
+   * Render the history screen: past games or a leaderboard
+   * @param {string} view - 'games', 'team' or 'player'
+   * @param {Array} games - Saved games, newest first
+   * @param {Array} leaderboard - Leaderboard rows for the team and player views
+   */
+  renderHistory(view, games, leaderboard) {
+    getElements('.history-view-btn').forEach(btn => {
+      btn.classList.toggle('selected', btn.dataset.view === view);
+    });
+
+    const list = this.displays.historyList;
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (games.length === 0) {
+      list.innerHTML = '<p class="settings-note">No games yet. Finish a game and e go show here.</p>';
+      return;
+    }
+
+    if (view === 'games') {
+      games.forEach(game => list.appendChild(this.createHistoryGame(game)));
+      return;
+    }
+
+    if (leaderboard.length === 0) {
+      list.innerHTML = '<p class="settings-note">No player names yet. Add players in team setup to rank them.</p>';
+      return;
+    }
+
+    const rows = leaderboard.map((row, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td class="leaderboard-name">${escapeHtml(row.name)}</td>
+        <td>${row.wins}/${row.games}</td>
+        <td>${row.average.toFixed(1)}</td>
+        <td>${row.bestRound ?? '–'}</td>
+      </tr>
+    `).join('');
+    list.innerHTML = `
+      <table class="leaderboard">
+        <thead>
+          <tr><th>#</th><th>Name</th><th>Wins</th><th>Avg/Turn</th><th>Best Turn</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Create an expandable summary of a past game
+   * @param {Object} game - Saved game record
+   * @returns {HTMLElement}
+   */
+  createHistoryGame(game) {
+    const item = document.createElement('details');
+    item.className = 'history-game';
+
+    const winner = game.teams[game.winnerIndex];
+    const date = new Date(game.playedAt).toLocaleDateString(undefined, {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+    const scores = game.teams.map(team => `${escapeHtml(team.name)} ${team.score}`).join(' · ');
+    const mode = GAME_CONFIG.GAME_MODES[game.gameMode]?.label || 'Rotate';
+    const words = (icon, list) => list.length
+      ? `<div class="history-words">${icon} ${list.map(escapeHtml).join(', ')}</div>`
+      : '';
+
+    const rounds = game.rounds.map(round => {
+      const team = game.teams[round.teamIndex];
+      const describer = round.describer ? ` (${escapeHtml(round.describer)})` : '';
+      const stolen = round.stolen.map(card => `${card.word} → ${game.teams[card.teamIndex].name}`);
+      return `
+        <li>
+          <strong>${escapeHtml(team.name)}</strong>${describer}: ${round.score} pts
+          ${words('✅', round.correct)}
+          ${words('⏭️', round.skipped)}
+          ${words('🚨', round.buzzed)}
+          ${words('🥷', stolen)}
+        </li>
+      `;
+    }).join('');
+
+    item.innerHTML = `
+      <summary>
+        <span class="history-date">${date}${game.isTournamentMatch ? ' · Tournament' : ''}</span>
+        <span class="history-winner">🏆 ${escapeHtml(winner.name)}</span>
+        <span class="history-scores">${scores}</span>
+      </summary>
+      <p class="history-meta">${escapeHtml(game.decks.join(', '))} · ${game.roundDuration}s · ${mode}</p>
+      <ol class="history-rounds">${rounds}</ol>
+    `;
+    return item;
+  }
+
+  /**
+   * Share the results card image, downloading it where sharing files is not supported
+   * @param {Object} summary - From GameManager.getResultSummary
+   * @returns {Promise<void>}
+   */
+  async shareResult(summary) {
+    const filename = `dat-tin-result-${new Date(summary.playedAt).toISOString().slice(0, 10)}.png`;
+    
+    try {
+      const blob = await canvasToPng(await drawResultsCard(summary));
+      const file = new File([blob], filename, { type: 'image/png' });
+      
+      if (navigator.canShare?.({ files: [file] })) {
+        try {
+          await navigator.share({
+            files: [file],
+            title: 'Dat Tin',
+            text: `${summary.teams[0].name} na the champion! 🏆`
+          });
+          return;
+        } catch (error) {
+          if (error.name === 'AbortError') return;
+          console.error('Error sharing result:', error);
+        }
+      }
+      
+      downloadFile(filename, blob, 'image/png');
+    } catch (error) {
+      console.error('Error creating result image:', error);
+      alert('Could not create the result image.');
+    }
+  }
+
+  /**
+   * Download the game history as JSON
+   * @param {Array} games - Finished games, newest first
+   */
+  exportHistory(games) {
+    if (games.length === 0) {
+      alert('No games to export yet.');
+      return;
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`dat-tin-history-${date}.json`, JSON.stringify(games, null, 2), 'application/json');
+  }
+
+  /**
+   * Label the game over screen for a single game or a tournament match
+   * @param {boolean} isTournamentMatch - Whether the game was a tournament match
+   */
+  updateGameOverActions(isTournamentMatch) {
+    const message = getElement('victory-message');
+    if (message) {
+      message.textContent = isTournamentMatch ? 'Match Winner!' : 'Champion!';
+    }
+    const playAgainBtn = getElement('play-again-btn');
+    if (playAgainBtn) {
+      playAgainBtn.textContent = isTournamentMatch ? 'Back to Bracket' : 'Play Again';
+    }
+  }
+
+  /**
+   * Render the team setup editors
+   * @param {Array} teams - Array of team objects
+   * @param {Array} colorOptions - Selectable team colors
+   * @param {Object} handlers - Callbacks: onRename, onColor, onAddPlayer, onRemovePlayer
+   */
+  renderTeamSetup(teams, colorOptions, handlers) {
+    const container = this.displays.teamEditors;
+    if (!container) return;
+
+    container.innerHTML = '';
+    teams.forEach((team, index) => {
+      const editor = document.createElement('div');
+      editor.className = 'team-editor';
+      editor.style.borderColor = team.color;
+
+      // Team name
+      const nameInput = document.createElement('input');
+      nameInput.className = 'team-name-input';
+      nameInput.type = 'text';
+      nameInput.maxLength = 24;
+      nameInput.value = team.name;
+      nameInput.placeholder = `Team ${index + 1}`;
+      nameInput.addEventListener('input', (e) => handlers.onRename(index, e.target.value));
+      editor.appendChild(nameInput);
+
+      // Color swatches
+      const swatches = document.createElement('div');
+      swatches.className = 'color-swatches';
+      colorOptions.forEach(color => {
+        const swatch = document.createElement('button');
+        swatch.className = 'color-swatch';
+        swatch.classList.toggle('selected', color === team.color);
+        swatch.style.backgroundColor = color;
+        swatch.setAttribute('aria-label', 'Team color');
+        swatch.addEventListener('click', () => handlers.onColor(index, color));
+        swatches.appendChild(swatch);
+      });
+      editor.appendChild(swatches);
+
+      // Player roster
+      const players = document.createElement('ul');
+      players.className = 'player-list';
+      team.players.forEach((player, playerIndex) => {
+        const chip = document.createElement('li');
+        chip.className = 'player-chip';
+        chip.textContent = player;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'player-remove-btn';
+        removeBtn.textContent = '×';
+        removeBtn.setAttribute('aria-label', `Remove ${player}`);
+        removeBtn.addEventListener('click', () => handlers.onRemovePlayer(index, playerIndex));
+        chip.appendChild(removeBtn);
+
+        players.appendChild(chip);
+      });
+      editor.appendChild(players);
+
+      // Add player form
+      const form = document.createElement('form');
+      form.className = 'add-player-form';
+      form.innerHTML = `
+        <input type="text" maxlength="20" placeholder="Add player name">
+        <button type="submit">Add</button>
+      `;
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handlers.onAddPlayer(index, form.querySelector('input').value);
+      });
+      editor.appendChild(form);
+
+      container.appendChild(editor);
+    });
+  }
+
   /**
    * Update the game card with a new word
    * @param {Object} card - Card object with targetWord and forbiddenWords
+   * @param {Object} mode - Game mode config with instructions and showForbidden
    */
-  updateCard(card) {
+  updateCard(card, mode) {
     if (!card || !this.displays.targetWord || !this.displays.forbiddenWordsList) {
       return;
     }
 
+    // Mode instructions, hiding forbidden words when nobody may talk anyway
+    if (mode) {
+      if (this.displays.cardInstructions) {
+        this.displays.cardInstructions.textContent = `${mode.icon} ${mode.instructions}`;
+      }
+      if (this.displays.forbiddenSection) {
+        this.displays.forbiddenSection.style.display = mode.showForbidden ? '' : 'none';
+      }
+    }
+
     // Clear existing content
     this.displays.targetWord.innerHTML = '';
     this.displays.forbiddenWordsList.innerHTML = '';
@@ -83,6 +984,13 @@ export class UIManager {
     // Set target word
     this.displays.targetWord.textContent = card.targetWord;
 
+    // Show difficulty for tagged cards
+    if (this.displays.cardDifficulty) {
+      const difficulty = GAME_CONFIG.DIFFICULTIES[card.difficulty];
+      this.displays.cardDifficulty.textContent = difficulty ? difficulty.label : '';
+      this.displays.cardDifficulty.className = `difficulty-badge ${difficulty ? card.difficulty : ''}`;
+    }
+
     // Set forbidden words
     card.forbiddenWords.forEach(word => {
       const li = document.createElement('li');
@@ -112,12 +1020,47 @@ export class UIManager {
   }
 
   /**
-   * Update the timer display
-   * @param {number} timeLeft - Seconds remaining
+   * Update the Pass button with the passes left this turn
+   * @param {number|null} remaining - Passes remaining, or null if unlimited
+   */
+  updatePassButton(remaining) {
+    const passBtn = getElement('pass-btn');
+    if (!passBtn) return;
+
+    passBtn.textContent = remaining === null ? 'Pass' : `Pass (${remaining})`;
+    passBtn.disabled = remaining === 0;
+  }
+
+  /**
+   * Highlight the timer option matching a duration
+   * @param {number} duration - Duration in seconds
+   */
+  selectTimerOption(duration) {
+    getElements('.timer-btn').forEach(btn => {
+      btn.classList.toggle('selected', parseInt(btn.dataset.time) === duration);
+    });
+  }
+
+  /**
+   * Show the mode for the coming turn on the get ready screen
+   * @param {Object} mode - Game mode config
+   */
+  updateModeBanner(mode) {
+    if (this.displays.countdownMode && mode) {
+      const multiplier = mode.multiplier > 1 ? ` · ${mode.multiplier}× points` : '';
+      this.displays.countdownMode.textContent = `${mode.icon} ${mode.label}${multiplier}`;
+    }
+  }
+
+  /**
+   * Update the timer display, in tenths of a second near the end
+   * @param {number} timeLeft - Whole seconds remaining, rounded up
+   * @param {number} timeLeftMs - Exact milliseconds remaining
    */
-  updateTimer(timeLeft) {
+  updateTimer(timeLeft, timeLeftMs) {
     if (this.displays.timer) {
-      this.displays.timer.textContent = timeLeft;
+      const isPrecise = timeLeftMs > 0 && timeLeftMs <= GAME_CONFIG.TIMER_PRECISE_SECONDS * 1000;
+      this.displays.timer.textContent = isPrecise ? (timeLeftMs / 1000).toFixed(1) : timeLeft;
       this.displays.timer.classList.toggle('low-time', timeLeft <= 10);
     }
   }
@@ -126,10 +1069,13 @@ export class UIManager {
    * Update the current team indicator
    * @param {string} teamName - Team name
    * @param {string} teamColor - Team color
+   * @param {string|null} describer - Name of the describing player
    */
-  updateTeamIndicator(teamName, teamColor) {
+  updateTeamIndicator(teamName, teamColor, describer) {
     if (this.displays.currentTeamIndicator) {
-      this.displays.currentTeamIndicator.textContent = `${teamName}'s Turn`;
+      this.displays.currentTeamIndicator.textContent = describer
+        ? `${describer} is describing for ${teamName}`
+        : `${teamName}'s Turn`;
       this.displays.currentTeamIndicator.style.backgroundColor = teamColor;
     }
   }
@@ -137,10 +1083,15 @@ export class UIManager {
   /**
    * Update the scoreboard
    * @param {Array} teams - Array of team objects
+   * @param {string} bannerText - Heading above the leading team
    */
-  updateScoreboard(teams) {
+  updateScoreboard(teams, bannerText = 'Current Leader') {
     if (!this.displays.scoreboard) return;
 
+    if (this.displays.winnerBanner) {
+      this.displays.winnerBanner.textContent = bannerText;
+    }
+
     this.displays.scoreboard.innerHTML = '';
     const sortedTeams = [...teams].sort((a, b) => b.score - a.score);
 
@@ -159,8 +1110,8 @@ export class UIManager {
       item.className = 'scoreboard-item';
       item.style.backgroundColor = team.color;
       item.innerHTML = `
-        <span class="team-name">${team.name}</span>
-        <span class="team-score">${team.score}</span>
+        <span class="team-name">${escapeHtml(team.name)}</span>
+        <span class="team-score">${team.score} pts</span>
       `;
       this.displays.scoreboard.appendChild(item);
     });
@@ -191,8 +1142,8 @@ export class UIManager {
       
       const position = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
       item.innerHTML = `
-        <span class="team-name">${position} ${team.name}</span>
-        <span class="team-score">${team.score}</span>
+        <span class="team-name">${position} ${escapeHtml(team.name)}</span>
+        <span class="team-score">${team.score} pts</span>
       `;
       this.displays.finalScoreboard.appendChild(item);
     });
@@ -202,50 +1153,153 @@ export class UIManager {
    * Update countdown display
    * @param {number} countdownTime - Countdown time
    * @param {string} teamName - Current team name
+   * @param {string|null} describer - Name of the describing player
    */
-  updateCountdown(countdownTime, teamName) {
+  updateCountdown(countdownTime, teamName, describer) {
     if (this.displays.countdownNumber) {
       this.displays.countdownNumber.textContent = countdownTime;
     }
     if (this.displays.countdownMessage && teamName) {
-      this.displays.countdownMessage.textContent = `${teamName}, Get Ready!`;
+      this.displays.countdownMessage.textContent = describer
+        ? `${describer} is describing for ${teamName}. Get Ready!`
+        : `${teamName}, Get Ready!`;
     }
   }
 
+  /**
+   * Render per-player describer tallies with the best describer on top
+   * @param {Array} playerStats - Array of { name, teamIndex, correct, skipped, buzzed }
+   * @param {Array} teams - Array of team objects
+   */
+  updatePlayerStats(playerStats, teams) {
+    const container = this.displays.playerStats;
+    if (!container) return;
+
+    container.innerHTML = '';
+    const ranked = playerStats
+      .filter(p => p.correct + p.skipped + p.buzzed > 0)
+      .sort((a, b) => (b.correct - b.buzzed) - (a.correct - a.buzzed) || b.correct - a.correct);
+
+    container.style.display = ranked.length ? '' : 'none';
+    if (!ranked.length) return;
+
+    const mvp = ranked[0];
+    container.innerHTML = `
+      <div class="mvp-banner">
+        <span class="mvp-label">⭐ Best Describer</span>
+        <span class="mvp-name">${escapeHtml(mvp.name)}</span>
+        <span class="mvp-team">${escapeHtml(teams[mvp.teamIndex].name)}</span>
+      </div>
+      <div class="player-stats-row player-stats-header">
+        <span>Player</span><span>✅</span><span>⏭️</span><span>🚫</span>
+      </div>
+    `;
+
+    ranked.forEach(player => {
+      const row = document.createElement('div');
+      row.className = 'player-stats-row';
+      row.style.borderLeftColor = teams[player.teamIndex].color;
+      row.innerHTML = `
+        <span class="player-stats-name">${escapeHtml(player.name)}</span>
+        <span>${player.correct}</span>
+        <span>${player.skipped}</span>
+        <span>${player.buzzed}</span>
+      `;
+      container.appendChild(row);
+    });
+  }
+
   /**
    * Show review screen with round cards
    * @param {Array} roundCards - Array of card results
-   * @param {Function} toggleCallback - Callback for toggling card status
+   * @param {number} score - Round score for the current statuses
    */
-  showReviewScreen(roundCards, toggleCallback) {
+  showReviewScreen(roundCards, score) {
     const list = getElement('review-list');
     if (!list) return;
 
+    const statusStyles = {
+      correct: { className: 'correct', label: 'Correct' },
+      skipped: { className: 'pass', label: 'Pass' },
+      buzzed: { className: 'buzzed', label: 'Buzz' }
+    };
+
     list.innerHTML = '';
     roundCards.forEach((item, index) => {
+      const style = statusStyles[item.status] || statusStyles.skipped;
       const li = document.createElement('li');
       li.className = 'review-item';
       li.innerHTML = `
-        <span class="review-word">${item.word}</span>
-        <button class="status-btn ${item.status === 'correct' ? 'correct' : 'pass'}" 
+        <span class="review-word">${escapeHtml(item.word)}</span>
+        <span class="review-points">${item.status === 'correct' ? `+${item.points}` : ''}</span>
+        <button class="status-btn ${style.className}" 
                 onclick="window.toggleCardStatus(${index})">
-          ${item.status === 'correct' ? 'Correct' : 'Pass'}
+          ${style.label}
         </button>
       `;
       list.appendChild(li);
     });
 
-    this.updateReviewScore(roundCards);
+    this.updateReviewScore(score);
+  }
+
+  /**
+   * Show the steal cards with a button per stealing team
+   * @param {Array} stealCards - Array of { word, points, stolenBy }
+   * @param {Array} stealingTeams - Teams that may steal, with their index
+   * @param {Function} onAward - Callback(cardIndex, teamIndex)
+   */
+  showStealCards(stealCards, stealingTeams, onAward) {
+    const list = getElement('steal-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    stealCards.forEach((card, cardIndex) => {
+      const li = document.createElement('li');
+      li.className = 'steal-item';
+      li.innerHTML = `
+        <div class="steal-word">
+          <span>${escapeHtml(card.word)}</span>
+          <span class="review-points">+${card.points}</span>
+        </div>
+        <div class="steal-teams"></div>
+      `;
+
+      const teamButtons = li.querySelector('.steal-teams');
+      stealingTeams.forEach(team => {
+        const btn = document.createElement('button');
+        btn.className = 'steal-team-btn';
+        btn.classList.toggle('stolen', card.stolenBy === team.index);
+        btn.style.borderColor = team.color;
+        btn.style.backgroundColor = card.stolenBy === team.index ? team.color : 'transparent';
+        btn.textContent = team.name;
+        btn.addEventListener('click', () => onAward(cardIndex, team.index));
+        teamButtons.appendChild(btn);
+      });
+
+      list.appendChild(li);
+    });
+  }
+
+  /**
+   * Update the steal timer
+   * @param {number} timeLeft - Seconds remaining
+   */
+  updateStealTimer(timeLeft) {
+    const timer = getElement('steal-timer');
+    if (timer) {
+      timer.textContent = timeLeft;
+      timer.classList.toggle('low-time', timeLeft <= 3);
+    }
   }
 
   /**
    * Update review score display
-   * @param {Array} roundCards - Array of card results
+   * @param {number} score - Round score
    */
-  updateReviewScore(roundCards) {
+  updateReviewScore(score) {
     const reviewScore = getElement('review-score');
     if (reviewScore) {
-      const score = roundCards.filter(c => c.status === 'correct').length;
       reviewScore.textContent = score;
     }
   }
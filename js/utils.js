@@ -5,17 +5,75 @@
 /**
  * Shuffles an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random number source returning [0, 1)
  * @returns {Array} - Shuffled array
  */
-export const shuffleArray = (array) => {
+export const shuffleArray = (array, random = Math.random) => {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 };
 
+/**
+ * Hashes a seed string into a 32-bit PRNG state
+ * @param {string} seed - Seed text
+ * @returns {number} - 32-bit integer state
+ */
+export const hashSeed = (seed) => {
+  let hash = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+/**
+ * Creates a deterministic random number source (mulberry32)
+ * The returned function exposes getState() so a sequence can be resumed.
+ * @param {number} state - 32-bit integer state, e.g. from hashSeed()
+ * @returns {Function} - Function returning numbers in [0, 1)
+ */
+export const createSeededRandom = (state) => {
+  const random = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
+};
+
+/**
+ * Generates a short, easy-to-read game seed
+ * @returns {string} - Six characters without look-alikes (no 0/O, 1/I)
+ */
+export const generateSeed = () => {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: 6 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+};
+
+/**
+ * Escapes a string for safe insertion into HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
 /**
  * Animates an element with a given animation class
  * @param {HTMLElement} element - Element to animate
@@ -42,20 +100,57 @@ export const animateElement = (element, animation, duration) => {
 };
 
 /**
- * Loads game cards from JSON file
- * @returns {Promise<Object>} - Card data object with naija and global arrays
+ * Triggers a browser download of text or binary content
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File contents
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Loads the deck manifest listing every deck in data/
+ * @returns {Promise<Object>} - Manifest with a decks array of deck metadata
+ */
+export const loadDeckManifest = async () => {
+  try {
+    const response = await fetch('./data/decks.json');
+    if (!response.ok) {
+      throw new Error('Failed to load deck manifest');
+    }
+    const manifest = await response.json();
+    return { ...manifest, decks: Array.isArray(manifest.decks) ? manifest.decks : [] };
+  } catch (error) {
+    console.error('Error loading deck manifest:', error);
+    // Return an empty manifest if loading fails
+    return { decks: [] };
+  }
+};
+
+/**
+ * Loads the cards for one manifest deck
+ * @param {Object} deck - Manifest entry with a file path relative to data/
+ * @returns {Promise<Array>} - Array of cards (empty if loading fails)
  */
-export const loadCards = async () => {
+export const loadDeckCards = async (deck) => {
   try {
-    const response = await fetch('./data/cards.json');
+    const response = await fetch(`./data/${deck.file}`);
     if (!response.ok) {
-      throw new Error('Failed to load cards');
+      throw new Error(`Failed to load deck "${deck.id}"`);
     }
-    return await response.json();
+    const cards = await response.json();
+    return Array.isArray(cards) ? cards : [];
   } catch (error) {
     console.error('Error loading cards:', error);
-    // Return empty card sets if loading fails
-    return { naija: [], global: [] };
+    return [];
   }
 };
 
@@ -1,7 +1,8 @@
-const CACHE_NAME = 'dat-tin-v1';
+const CACHE_NAME = 'dat-tin-v17';
 const ASSETS = [
   './',
   './index.html',
+  './scoreboard.html',
   './manifest.json',
   './icon.png',
   // CSS
@@ -13,28 +14,65 @@ const ASSETS = [
   './js/app.js',
   './js/constants.js',
   './js/utils.js',
+  './js/storage.js',
+  './js/deck-manager.js',
+  './js/card-history.js',
+  './js/tournament.js',
+  './js/game-history.js',
+  './js/results-card.js',
+  './js/event-emitter.js',
+  './js/clock.js',
+  './js/scoreboard-broadcast.js',
+  './js/qr-code.js',
+  './js/peer-link.js',
+  './js/remote-play.js',
+  './js/gesture-controls.js',
+  './js/input-controls.js',
+  './js/scoreboard.js',
+  './js/sound-packs.js',
+  './js/music-player.js',
+  './js/announcer.js',
   './js/sound-manager.js',
   './js/ui-manager.js',
   './js/game-manager.js',
   // Libraries
   './lib/splitting.min.js',
-  // Data
-  './data/cards.json',
+  // Data (every deck file in the manifest is added at install)
+  './data/decks.json',
   // Fonts
   'https://fonts.googleapis.com/css2?family=Poppins:wght@400;600;700&display=swap'
 ];
 
-// Install event - cache assets
+// Install event - cache assets and every deck the manifest lists, so play works offline from the start
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(ASSETS);
+    caches.open(CACHE_NAME).then(async (cache) => {
+      await cache.addAll(ASSETS);
+      const manifest = await (await cache.match('./data/decks.json')).json();
+      return cache.addAll(manifest.decks.map((deck) => `./data/${deck.file}`));
     })
   );
 });
 
 // Fetch event - serve from cache
 self.addEventListener('fetch', (event) => {
+  // Deck data: network first so new packs show up, cached for offline play
+  const url = new URL(event.request.url);
+  if (event.request.method === 'GET' && url.origin === self.location.origin && url.pathname.includes('/data/')) {
+    event.respondWith(
+      fetch(event.request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(event.request, copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(event.request))
+    );
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request).then((response) => {
       // Cache hit - return response
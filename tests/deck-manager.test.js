@@ -0,0 +1,53 @@
+/**
+ * Deck Manager tests - Run with: npm test
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GAME_CONFIG } from '../js/constants.js';
+import { parseDeckJson, parseDeckCsv, cardsToCsv } from '../js/deck-manager.js';
+
+/**
+ * Read a file from the data folder
+ * @param {string} path - Path inside data/
+ * @returns {string}
+ */
+const readData = (path) => readFileSync(new URL(`../data/${path}`, import.meta.url), 'utf8');
+
+describe('shipped decks', () => {
+  const { decks } = JSON.parse(readData('decks.json'));
+
+  test('every card has a difficulty and every difficulty has cards', () => {
+    decks.forEach(({ file, name }) => {
+      const cards = JSON.parse(readData(file));
+      const [deck] = parseDeckJson(readData(file), name);
+
+      assert.equal(deck.cards.length, cards.length);
+      cards.forEach(card => assert.ok(GAME_CONFIG.DIFFICULTIES[card.difficulty], `${name}: ${card.targetWord}`));
+      Object.keys(GAME_CONFIG.DIFFICULTIES).forEach(difficulty => {
+        assert.ok(cards.some(card => card.difficulty === difficulty), `${name} has no ${difficulty} cards`);
+      });
+    });
+  });
+});
+
+describe('csv', () => {
+  test('export and import keep each card difficulty', () => {
+    const cards = [
+      { targetWord: 'Suya', forbiddenWords: ['Meat', 'Spicy, hot'], difficulty: 'easy' },
+      { targetWord: 'Gbegiri', forbiddenWords: ['Soup'], difficulty: 'hard' },
+      { targetWord: 'Okada', forbiddenWords: [] }
+    ];
+
+    assert.deepEqual(parseDeckCsv(cardsToCsv(cards), 'Naija'), [{ name: 'Naija', cards }]);
+  });
+
+  test('reads files without a difficulty column as before', () => {
+    const [deck] = parseDeckCsv('targetWord,forbiddenWords\nSuya,Meat,Hard\nZobo,Drink', 'Old');
+
+    assert.deepEqual(deck.cards, [
+      { targetWord: 'Suya', forbiddenWords: ['Meat', 'Hard'] },
+      { targetWord: 'Zobo', forbiddenWords: ['Drink'] }
+    ]);
+  });
+});
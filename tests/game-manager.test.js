@@ -0,0 +1,626 @@
+/**
+ * Game Manager tests - Run with: npm test
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_CONFIG } from '../js/constants.js';
+import { createTestGame, createCards, startGame, startFirstTurn } from './helpers.js';
+
+const { STATES } = GAME_CONFIG;
+
+/**
+ * Play out the running turn and confirm the reviewed score
+ * @param {Object} setup - From createTestGame
+ */
+const finishTurn = ({ game, clock }) => {
+  clock.advance(game.timeLeft * 1000);
+  game.confirmScore();
+};
+
+describe('countdown', () => {
+  test('counts down once a second, then starts the round', async () => {
+    const setup = createTestGame();
+    const { game, clock, eventsNamed } = setup;
+    await startGame(game);
+
+    assert.equal(game.state, STATES.GET_READY);
+    assert.deepEqual(eventsNamed('countdown').map(e => e.count), [GAME_CONFIG.COUNTDOWN_DURATION]);
+
+    clock.advance((GAME_CONFIG.COUNTDOWN_DURATION - 1) * 1000);
+    assert.equal(game.state, STATES.GET_READY);
+
+    clock.advance(1000);
+    assert.equal(game.state, STATES.PLAYING);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION);
+    assert.deepEqual(
+      eventsNamed('countdown').map(e => e.count),
+      Array.from({ length: GAME_CONFIG.COUNTDOWN_DURATION + 1 }, (_, i) => GAME_CONFIG.COUNTDOWN_DURATION - i)
+    );
+  });
+
+  test('skipping starts the round at once and stops the countdown', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startGame(game);
+
+    game.skipCountdown();
+    assert.equal(game.state, STATES.PLAYING);
+
+    clock.advance(GAME_CONFIG.COUNTDOWN_DURATION * 1000);
+    assert.equal(eventsNamed('countdown').length, 1);
+    assert.equal(eventsNamed('roundStart').length, 1);
+  });
+
+  test('skipping outside the countdown does nothing', async () => {
+    const { game, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+    game.handleCorrect();
+
+    game.skipCountdown();
+    assert.equal(game.roundScore, 1);
+    assert.equal(eventsNamed('roundStart').length, 1);
+  });
+
+  test('does not start without cards', async () => {
+    const { game, alerts } = createTestGame({ cards: [] });
+    await startGame(game);
+
+    assert.equal(game.state, STATES.TEAM_SETUP);
+    assert.equal(alerts.length, 1);
+  });
+
+  test('the next round only starts from the scoreboard', async () => {
+    const setup = createTestGame();
+    const { game, clock, eventsNamed } = setup;
+    await startGame(game);
+    clock.advance(1000);
+
+    game.startNextRound();
+    assert.equal(eventsNamed('getReady').length, 1);
+    game.skipCountdown();
+    game.startNextRound();
+    assert.equal(game.state, STATES.PLAYING);
+
+    finishTurn(setup);
+    game.startNextRound();
+    assert.equal(game.state, STATES.GET_READY);
+    assert.equal(eventsNamed('getReady').length, 2);
+  });
+});
+
+describe('round timing', () => {
+  test('ticks down and goes to review when time is up', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+
+    clock.advance(10 * 1000);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 10);
+    assert.equal(game.state, STATES.PLAYING);
+
+    clock.advance((GAME_CONFIG.DEFAULT_ROUND_DURATION - 10) * 1000);
+    assert.equal(game.timeLeft, 0);
+    assert.equal(game.state, STATES.REVIEW);
+    assert.equal(new Set(eventsNamed('tick').map(e => e.timeLeft)).size, GAME_CONFIG.DEFAULT_ROUND_DURATION);
+    assert.equal(eventsNamed('timeUp').length, 1);
+  });
+
+  test('stops the timer once in review', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    const ticks = eventsNamed('tick').length;
+    clock.advance(60 * 1000);
+    assert.equal(game.timeLeft, 0);
+    assert.equal(eventsNamed('tick').length, ticks);
+    assert.equal(eventsNamed('review').length, 1);
+  });
+
+  test('ends on time even when ticks are throttled', async () => {
+    const { game, clock } = createTestGame();
+    await startFirstTurn(game);
+
+    clock.jump(20 * 1000);
+    clock.advance(GAME_CONFIG.TIMER_TICK);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 20);
+
+    clock.jump(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    clock.advance(GAME_CONFIG.TIMER_TICK);
+    assert.equal(game.state, STATES.REVIEW);
+  });
+
+  test('ticks in tenths of a second near the end', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+
+    clock.advance((GAME_CONFIG.DEFAULT_ROUND_DURATION - GAME_CONFIG.TIMER_PRECISE_SECONDS) * 1000);
+    const before = eventsNamed('tick').length;
+    clock.advance(1000);
+    const lastTicks = eventsNamed('tick').slice(before);
+
+    assert.equal(lastTicks.length, 1000 / GAME_CONFIG.TIMER_TICK);
+    assert.equal(lastTicks.at(-1).timeLeftMs, (GAME_CONFIG.TIMER_PRECISE_SECONDS - 1) * 1000);
+  });
+
+  test('the countdown also keeps to the clock when throttled', async () => {
+    const { game, clock } = createTestGame();
+    await startGame(game);
+
+    clock.jump(GAME_CONFIG.COUNTDOWN_DURATION * 1000);
+    clock.advance(GAME_CONFIG.TIMER_TICK);
+    assert.equal(game.state, STATES.PLAYING);
+  });
+
+  test('uses the game mode duration', async () => {
+    const { game, clock } = createTestGame();
+    game.setGameMode('actAm');
+    await startFirstTurn(game);
+
+    assert.equal(game.timeLeft, GAME_CONFIG.GAME_MODES.actAm.duration);
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    assert.equal(game.state, STATES.PLAYING);
+  });
+
+  test('keeps the card on screen at time up for stealing', async () => {
+    const { game, clock } = createTestGame();
+    await startFirstTurn(game);
+    const card = game.shuffledCards[game.currentCardIndex];
+
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    assert.equal(game.unfinishedCard, card);
+  });
+});
+
+describe('pause and resume', () => {
+  test('freezes the timer while paused', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+    clock.advance(5 * 1000);
+
+    game.togglePause();
+    assert.equal(game.isPaused, true);
+    clock.advance(60 * 1000);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 5);
+    assert.equal(game.state, STATES.PLAYING);
+
+    game.togglePause();
+    assert.equal(game.isPaused, false);
+    clock.advance(5 * 1000);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 10);
+    assert.deepEqual(eventsNamed('pause').map(e => e.isPaused), [true, false]);
+  });
+
+  test('keeps the part of a second used before pausing', async () => {
+    const { game, clock } = createTestGame();
+    await startFirstTurn(game);
+    const durationMs = GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000;
+
+    for (let i = 0; i < 10; i++) {
+      clock.advance(1500);
+      game.togglePause();
+      clock.advance(10 * 1000);
+      game.togglePause();
+    }
+    assert.equal(game.timeLeftMs, durationMs - 15 * 1000);
+
+    clock.advance(durationMs - 15 * 1000 - GAME_CONFIG.TIMER_TICK);
+    assert.equal(game.state, STATES.PLAYING);
+    clock.advance(GAME_CONFIG.TIMER_TICK);
+    assert.equal(game.state, STATES.REVIEW);
+  });
+
+  test('does not run two timers after pausing and resuming repeatedly', async () => {
+    const { game, clock } = createTestGame();
+    await startFirstTurn(game);
+
+    for (let i = 0; i < 5; i++) {
+      game.togglePause();
+      game.togglePause();
+    }
+    clock.advance(3 * 1000);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 3);
+  });
+
+  test('only pauses during a turn', async () => {
+    const { game, clock } = createTestGame();
+    await startGame(game);
+
+    game.togglePause();
+    assert.equal(game.isPaused, false);
+
+    game.skipCountdown();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    game.togglePause();
+    assert.equal(game.isPaused, false);
+  });
+
+  test('pauses itself when the app is hidden and waits for the players', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+    clock.advance(2 * 1000);
+
+    game.handleVisibilityChange(true);
+    assert.equal(game.isPaused, true);
+    assert.deepEqual(eventsNamed('pause').at(-1), { isPaused: true, isAuto: true });
+
+    game.handleVisibilityChange(false);
+    clock.advance(10 * 1000);
+    assert.equal(game.isPaused, true);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 2);
+  });
+
+  test('a countdown hidden halfway starts again from the top', async () => {
+    const { game, clock } = createTestGame();
+    await startGame(game);
+    clock.advance(5 * 1000);
+
+    game.handleVisibilityChange(true);
+    clock.advance(60 * 1000);
+    assert.equal(game.state, STATES.GET_READY);
+
+    game.handleVisibilityChange(false);
+    assert.equal(game.countdownTime, GAME_CONFIG.COUNTDOWN_DURATION);
+    clock.advance(GAME_CONFIG.COUNTDOWN_DURATION * 1000);
+    assert.equal(game.state, STATES.PLAYING);
+  });
+
+  test('ignores card presses while paused', async () => {
+    const { game } = createTestGame();
+    await startFirstTurn(game);
+
+    game.togglePause();
+    game.handleCorrect();
+    game.handleBuzz();
+    assert.equal(game.roundScore, 0);
+    assert.deepEqual(game.roundCards, []);
+  });
+
+  test('ignores remote card presses while paused', async () => {
+    const { game } = createTestGame();
+    await startFirstTurn(game);
+
+    game.handleRemoteAction('pause');
+    game.handleRemoteAction('correct');
+    assert.equal(game.roundScore, 0);
+
+    game.handleRemoteAction('pause');
+    game.handleRemoteAction('correct');
+    assert.equal(game.roundScore, 1);
+  });
+
+  test('a resumed turn comes back paused with its time left', async () => {
+    const first = createTestGame();
+    await startFirstTurn(first.game);
+    first.game.handleCorrect();
+    first.clock.advance(7 * 1000);
+
+    // A second game on the same storage picks up the snapshot
+    const saved = localStorage.getItem(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME);
+    const second = createTestGame();
+    localStorage.setItem(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME, saved);
+    assert.equal(await second.game.resumeSavedGame(), true);
+
+    assert.equal(second.game.state, STATES.PLAYING);
+    assert.equal(second.game.isPaused, true);
+    assert.equal(second.game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 7);
+    assert.equal(second.game.roundScore, 1);
+
+    second.clock.advance(10 * 1000);
+    assert.equal(second.game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 7);
+  });
+
+  test('a resumed turn restores quietly without starting the round', async () => {
+    const first = createTestGame();
+    await startFirstTurn(first.game);
+    first.clock.advance(3 * 1000);
+
+    const saved = localStorage.getItem(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME);
+    const second = createTestGame();
+    localStorage.setItem(GAME_CONFIG.STORAGE_KEYS.SAVED_GAME, saved);
+    await second.game.resumeSavedGame();
+
+    assert.deepEqual(second.eventsNamed('roundStart'), []);
+    assert.equal(second.eventsNamed('roundRestore')[0].timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 3);
+    assert.deepEqual(second.eventsNamed('pause'), [{ isPaused: true, isAuto: true }]);
+  });
+});
+
+describe('review', () => {
+  test('cycles a card through correct, skipped and buzzed', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+    game.handleCorrect();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+
+    assert.equal(game.calculateRoundScore(), 1);
+    game.toggleCardStatus(0);
+    assert.equal(game.roundCards[0].status, 'skipped');
+    assert.equal(game.calculateRoundScore(), 0); // passes cost nothing by default
+    game.toggleCardStatus(0);
+    assert.equal(game.roundCards[0].status, 'buzzed');
+    assert.equal(game.calculateRoundScore(), -game.buzzPenalty);
+    game.toggleCardStatus(0);
+    assert.equal(game.roundCards[0].status, 'correct');
+    assert.equal(game.calculateRoundScore(), 1);
+
+    assert.deepEqual(eventsNamed('reviewChange').map(e => e.score), [0, -1, 1]);
+  });
+
+  test('goes to review once when the deck runs out as time is up', async () => {
+    const { game, clock, eventsNamed } = createTestGame({ cards: createCards(2) });
+    game.setMatchMode(GAME_CONFIG.MATCH_MODES.DECK);
+    await startFirstTurn(game);
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000 - GAME_CONFIG.TIMER_TICK);
+
+    game.handleCorrect();
+    game.handleCorrect();
+    clock.advance(GAME_CONFIG.TIMER_TICK);
+    game.finishTurn();
+    assert.equal(game.state, STATES.REVIEW);
+    assert.equal(eventsNamed('review').length, 1);
+
+    game.handleCorrect();
+    assert.equal(game.roundCards.length, 2);
+  });
+
+  test('the last card of the deck reports its result before the review', async () => {
+    const { game, events } = createTestGame({ cards: createCards(2) });
+    game.setMatchMode(GAME_CONFIG.MATCH_MODES.DECK);
+    await startFirstTurn(game);
+
+    game.handleCorrect();
+    game.handleBuzz();
+    const order = events.map(e => e.event).filter(event => ['cardResult', 'review'].includes(event));
+    assert.deepEqual(order, ['cardResult', 'cardResult', 'review']);
+  });
+
+  test('ignores cards that were not played', async () => {
+    const { game, clock } = createTestGame();
+    await startFirstTurn(game);
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+
+    game.toggleCardStatus(3);
+    assert.deepEqual(game.roundCards, []);
+  });
+
+  test('the reviewed score is what the team banks', async () => {
+    const { game, clock } = createTestGame();
+    await startFirstTurn(game);
+    game.handleCorrect();
+    game.handleCorrect();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+
+    game.toggleCardStatus(1);
+    game.toggleCardStatus(1);
+    game.confirmScore();
+    assert.equal(game.teams[0].score, 1 - game.buzzPenalty);
+  });
+});
+
+describe('scoring', () => {
+  test('correct scores, buzz and pass penalties deduct', async () => {
+    const { game, eventsNamed } = createTestGame();
+    game.setBuzzPenalty(2);
+    game.setPassPenalty(1);
+    await startFirstTurn(game);
+
+    game.handleCorrect();
+    game.handleCorrect();
+    game.handleBuzz();
+    game.handlePass();
+    assert.equal(game.roundScore, 2 - 2 - 1);
+    assert.deepEqual(
+      eventsNamed('cardResult').map(e => [e.status, e.roundScore]),
+      [['correct', 1], ['correct', 2], ['buzzed', 0], ['skipped', -1]]
+    );
+    assert.equal(game.currentCardIndex, 4);
+  });
+
+  test('limits passes per turn', async () => {
+    const { game, eventsNamed } = createTestGame();
+    game.setPassLimit(2);
+    await startFirstTurn(game);
+
+    game.handlePass();
+    game.handlePass();
+    game.handlePass();
+    assert.equal(game.passesUsed, 2);
+    assert.equal(game.getPassesRemaining(), 0);
+    assert.deepEqual(eventsNamed('cardResult').map(e => e.passesRemaining), [1, 0]);
+  });
+
+  test('applies the game mode multiplier', async () => {
+    const { game } = createTestGame();
+    game.setGameMode('soundAm');
+    await startFirstTurn(game);
+
+    game.handleCorrect();
+    assert.equal(game.roundScore, GAME_CONFIG.GAME_MODES.soundAm.multiplier);
+  });
+
+  test('banks the round score and passes the turn on', async () => {
+    const setup = createTestGame();
+    const { game } = setup;
+    await startFirstTurn(game);
+    game.handleCorrect();
+    finishTurn(setup);
+
+    assert.equal(game.teams[0].score, 1);
+    assert.equal(game.currentTeamIndex, 1);
+    assert.equal(game.state, STATES.ROUND_OVER);
+  });
+
+  test('other teams can steal passed cards', async () => {
+    const setup = createTestGame();
+    const { game, clock } = setup;
+    game.setStealMode(true);
+    await startFirstTurn(game);
+    game.handlePass();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    game.confirmScore();
+
+    assert.equal(game.state, STATES.STEAL);
+    assert.equal(game.stealCards.length, 2); // the passed card and the one on screen
+    game.awardSteal(0, 1);
+    game.finishSteal();
+    assert.equal(game.teams[1].score, 1);
+    assert.equal(game.state, STATES.ROUND_OVER);
+  });
+
+  test('a recycled pass offered for stealing leaves the pile', async () => {
+    const { game, clock } = createTestGame();
+    game.setStealMode(true);
+    game.setPassRecycle(true);
+    await startFirstTurn(game);
+    const passed = game.shuffledCards[game.currentCardIndex].targetWord;
+    game.handlePass();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    game.confirmScore();
+
+    assert.equal(game.stealCards[0].word, passed);
+    const pile = game.shuffledCards.slice(game.currentCardIndex).map(card => card.targetWord);
+    assert.equal(pile.includes(passed), false);
+  });
+
+  test('the steal ends by itself when its timer runs out', async () => {
+    const { game, clock } = createTestGame();
+    game.setStealMode(true);
+    await startFirstTurn(game);
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    game.confirmScore();
+
+    assert.equal(game.state, STATES.STEAL);
+    clock.advance(GAME_CONFIG.STEAL_DURATION * 1000);
+    assert.equal(game.state, STATES.ROUND_OVER);
+  });
+
+  test('the steal keeps to the clock when throttled and stops while hidden', async () => {
+    const { game, clock } = createTestGame();
+    game.setStealMode(true);
+    await startFirstTurn(game);
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    game.confirmScore();
+
+    clock.jump(3 * 1000);
+    clock.advance(GAME_CONFIG.TIMER_TICK);
+    assert.equal(game.stealTimeLeft, GAME_CONFIG.STEAL_DURATION - 3);
+
+    game.handleVisibilityChange(true);
+    clock.advance(60 * 1000);
+    assert.equal(game.state, STATES.STEAL);
+
+    game.handleVisibilityChange(false);
+    clock.advance((GAME_CONFIG.STEAL_DURATION - 3) * 1000);
+    assert.equal(game.state, STATES.ROUND_OVER);
+  });
+});
+
+describe('game over', () => {
+  test('ends after every team has played the set rounds', async () => {
+    const setup = createTestGame();
+    const { game, eventsNamed } = setup;
+    game.matchFormat.rounds = 1;
+    await startFirstTurn(game);
+    game.handleCorrect();
+    finishTurn(setup);
+
+    assert.equal(game.state, STATES.ROUND_OVER);
+    game.startCountdown();
+    game.skipCountdown();
+    finishTurn(setup);
+
+    assert.equal(game.state, STATES.GAME_OVER);
+    assert.equal(eventsNamed('gameOver').length, 1);
+    assert.equal(game.hasSavedGame(), false);
+    assert.equal(game.gameHistory.games.length, 1);
+  });
+
+  test('a tied game goes to sudden death', async () => {
+    const setup = createTestGame();
+    const { game, eventsNamed } = setup;
+    game.matchFormat.rounds = 1;
+    await startFirstTurn(game);
+    finishTurn(setup);
+    game.startCountdown();
+    game.skipCountdown();
+    finishTurn(setup);
+
+    assert.equal(game.state, STATES.ROUND_OVER);
+    assert.deepEqual(game.suddenDeathTeams, [0, 1]);
+    assert.equal(eventsNamed('roundOver').at(-1).isSuddenDeath, true);
+
+    game.startCountdown();
+    game.skipCountdown();
+    game.handleCorrect();
+    finishTurn(setup);
+    game.startCountdown();
+    game.skipCountdown();
+    finishTurn(setup);
+
+    assert.equal(game.state, STATES.GAME_OVER);
+    assert.equal(game.getLeadingTeamIndexes()[0], 0);
+  });
+
+  test('only the tied teams can steal in sudden death', async () => {
+    const setup = createTestGame();
+    const { game, eventsNamed } = setup;
+    game.matchFormat.rounds = 1;
+    game.setStealMode(true);
+    await startFirstTurn(game, 3);
+    [true, true, false].forEach((scores, turn) => {
+      if (turn > 0) {
+        game.startCountdown();
+        game.skipCountdown();
+      }
+      if (scores) game.handleCorrect();
+      finishTurn(setup);
+      game.finishSteal();
+    });
+    assert.deepEqual(game.suddenDeathTeams, [0, 1]);
+
+    game.startCountdown();
+    game.skipCountdown();
+    finishTurn(setup);
+    assert.deepEqual(eventsNamed('stealCards').at(-1).teams.map(team => team.index), [1]);
+
+    game.awardSteal(0, 2);
+    game.finishSteal();
+    assert.equal(game.teams[2].score, 0);
+  });
+
+  test('points mode ends once a team reaches the target and the cycle is done', async () => {
+    const setup = createTestGame();
+    const { game } = setup;
+    game.setMatchMode(GAME_CONFIG.MATCH_MODES.POINTS);
+    game.matchFormat.targetPoints = 2;
+    await startFirstTurn(game);
+    game.handleCorrect();
+    game.handleCorrect();
+    finishTurn(setup);
+
+    assert.equal(game.state, STATES.ROUND_OVER);
+    game.startCountdown();
+    game.skipCountdown();
+    finishTurn(setup);
+    assert.equal(game.state, STATES.GAME_OVER);
+  });
+
+  test('quitting stops every timer', async () => {
+    const { game, clock, eventsNamed } = createTestGame();
+    await startFirstTurn(game);
+
+    game.quitGame();
+    assert.equal(game.state, STATES.WELCOME);
+    assert.equal(clock.pendingTimers(), 0);
+    assert.equal(eventsNamed('reset').length, 1);
+  });
+
+  test('quitting can be cancelled', async () => {
+    const { game, clock } = createTestGame({ confirm: false });
+    await startFirstTurn(game);
+
+    game.quitGame();
+    assert.equal(game.state, STATES.PLAYING);
+    clock.advance(1000);
+    assert.equal(game.timeLeft, GAME_CONFIG.DEFAULT_ROUND_DURATION - 1);
+  });
+});
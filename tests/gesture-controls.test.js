@@ -0,0 +1,152 @@
+/**
+ * Gesture Controls tests - Run with: npm test
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_CONFIG } from '../js/constants.js';
+import { GestureControls, getTiltPitch } from '../js/gesture-controls.js';
+import { createTestGame, startFirstTurn } from './helpers.js';
+
+const { GESTURES } = GAME_CONFIG;
+
+/**
+ * Stand-in for the game card element, with just what the controls touch
+ * @returns {Object} - Element with classList, style and listeners
+ */
+const createCardElement = () => {
+  const classes = new Set();
+  const listeners = {};
+  return {
+    classList: {
+      add: (...names) => names.forEach(name => classes.add(name)),
+      remove: (...names) => names.forEach(name => classes.delete(name)),
+      toggle: (name, force) => (force ?? !classes.has(name)) ? classes.add(name) : classes.delete(name),
+      contains: (name) => classes.has(name)
+    },
+    style: { removeProperty: () => {} },
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    removeEventListener: () => {},
+    dispatch: (type, event) => listeners[type]?.(event)
+  };
+};
+
+/**
+ * Start a turn with gesture controls on its card
+ * @returns {Promise<Object>} - createTestGame's setup plus gestures and card
+ */
+const startWithGestures = async () => {
+  const setup = createTestGame();
+  const card = createCardElement();
+  const gestures = new GestureControls(setup.game, card, { clock: setup.clock });
+  await startFirstTurn(setup.game);
+  return { ...setup, gestures, card };
+};
+
+/**
+ * Swipe a finger across the card
+ * @param {Object} card - From createCardElement
+ * @param {number} dx - Horizontal distance in px
+ * @param {number} dy - Vertical distance in px
+ */
+const swipe = (card, dx, dy = 0) => {
+  card.dispatch('pointerdown', { pointerId: 1, clientX: 100, clientY: 100 });
+  card.dispatch('pointermove', { pointerId: 1, clientX: 100 + dx, clientY: 100 + dy });
+  card.dispatch('pointerup', { pointerId: 1, clientX: 100 + dx, clientY: 100 + dy });
+};
+
+describe('tilt angle', () => {
+  test('is zero upright and positive when the screen faces the floor', () => {
+    assert.equal(getTiltPitch(90, 0, 0), 0);
+    assert.equal(getTiltPitch(180, 0, 0), 90);
+    assert.equal(getTiltPitch(0, 0, 0), -90);
+  });
+
+  test('reads the lean from gamma when the phone is held sideways', () => {
+    assert.equal(Math.abs(getTiltPitch(0, 90, 90)), 0);
+    assert.equal(getTiltPitch(180, 40, 90), 50);
+    assert.equal(getTiltPitch(0, -40, 270), -50);
+  });
+
+  test('is unknown without sensor readings', () => {
+    assert.equal(getTiltPitch(null, null), null);
+  });
+});
+
+describe('gestures', () => {
+  test('a swipe right scores the card once it has left the screen', async () => {
+    const { game, clock, card } = await startWithGestures();
+
+    swipe(card, GESTURES.SWIPE_DISTANCE);
+    assert.equal(game.roundScore, 0);
+    assert.ok(card.classList.contains('slideOutRight'));
+
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.equal(game.roundScore, 1);
+    assert.ok(!card.classList.contains('slideOutRight'));
+  });
+
+  test('a swipe left passes and a short or vertical drag does nothing', async () => {
+    const { game, clock, card } = await startWithGestures();
+
+    swipe(card, GESTURES.SWIPE_DISTANCE - 1);
+    swipe(card, GESTURES.SWIPE_DISTANCE, GESTURES.SWIPE_DISTANCE * 2);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.equal(game.roundCards.length, 0);
+
+    swipe(card, -GESTURES.SWIPE_DISTANCE);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.deepEqual(game.roundCards.map(c => c.status), ['skipped']);
+  });
+
+  test('ignores swipes while switched off', async () => {
+    const { game, clock, card, gestures } = await startWithGestures();
+
+    gestures.setSwipe(false);
+    swipe(card, GESTURES.SWIPE_DISTANCE);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.equal(game.roundScore, 0);
+    assert.ok(!card.classList.contains('swipeable'));
+  });
+
+  test('one tilt scores one card, however long it is held', async () => {
+    const { game, clock, gestures } = await startWithGestures();
+
+    gestures.handleOrientation(90, 0);
+    for (let i = 0; i < 10; i++) {
+      gestures.handleOrientation(90 + GESTURES.TILT_ANGLE + i, 0);
+      clock.advance(GESTURES.COOLDOWN);
+    }
+    assert.equal(game.roundScore, 1);
+
+    gestures.handleOrientation(90, 0);
+    gestures.handleOrientation(90 - GESTURES.TILT_ANGLE, 0);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.deepEqual(game.roundCards.map(c => c.status), ['correct', 'skipped']);
+  });
+
+  test('waits out the cooldown before the next gesture', async () => {
+    const { game, clock, card } = await startWithGestures();
+
+    swipe(card, GESTURES.SWIPE_DISTANCE);
+    swipe(card, GESTURES.SWIPE_DISTANCE);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    swipe(card, GESTURES.SWIPE_DISTANCE);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.equal(game.roundScore, 1);
+
+    clock.advance(GESTURES.COOLDOWN);
+    swipe(card, GESTURES.SWIPE_DISTANCE);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.equal(game.roundScore, 2);
+  });
+
+  test('does nothing while the turn is paused', async () => {
+    const { game, clock, gestures } = await startWithGestures();
+
+    game.togglePause();
+    gestures.handleOrientation(90, 0);
+    gestures.handleOrientation(180, 0);
+    clock.advance(GESTURES.CARD_EXIT_DURATION);
+    assert.equal(game.roundScore, 0);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Test Helpers - Run the game headless with a hand-driven clock
+ */
+import { GameManager } from '../js/game-manager.js';
+
+/**
+ * In-memory stand-in for the browser's localStorage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
+
+/**
+ * Creates a clock whose timers only fire when the test advances time
+ * @param {number} start - Starting time in milliseconds
+ * @returns {Object} - Clock with advance(ms), jump(ms) and pendingTimers()
+ */
+export const createManualClock = (start = 0) => {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  const schedule = (callback, delay, repeat) => {
+    const id = nextId++;
+    const interval = repeat ? Math.max(1, delay) : Math.max(0, delay);
+    timers.set(id, { callback, interval, at: now + interval, repeat });
+    return id;
+  };
+
+  return {
+    now: () => now,
+    setInterval: (callback, delay) => schedule(callback, delay, true),
+    clearInterval: (id) => timers.delete(id),
+    setTimeout: (callback, delay) => schedule(callback, delay, false),
+    clearTimeout: (id) => timers.delete(id),
+
+    /**
+     * Move time forward, firing due timers in order
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+      const end = now + ms;
+      for (;;) {
+        const due = [...timers.entries()]
+          .filter(([, timer]) => timer.at <= end)
+          .sort(([, a], [, b]) => a.at - b.at)[0];
+        if (!due) break;
+
+        const [id, timer] = due;
+        now = timer.at;
+        if (timer.repeat) {
+          timer.at += timer.interval;
+        } else {
+          timers.delete(id);
+        }
+        timer.callback();
+      }
+      now = end;
+    },
+
+    /**
+     * Move time forward without firing timers, like a throttled background tab
+     * Repeating timers resume one interval after the jump, as browsers do.
+     * @param {number} ms - Milliseconds to skip
+     */
+    jump(ms) {
+      now += ms;
+      timers.forEach(timer => {
+        if (timer.repeat) timer.at = Math.max(timer.at, now + timer.interval);
+      });
+    },
+
+    pendingTimers: () => timers.size
+  };
+};
+
+/**
+ * Builds a deck of numbered test cards
+ * @param {number} count - Number of cards
+ * @returns {Array} - Cards with targetWord and forbiddenWords
+ */
+export const createCards = (count = 40) => Array.from({ length: count }, (_, i) => ({
+  targetWord: `Word ${i + 1}`,
+  forbiddenWords: [`Taboo ${i + 1}a`, `Taboo ${i + 1}b`]
+}));
+
+/**
+ * Creates a game with one custom deck and records every event it emits
+ * @param {Object} options - { cards, confirm } where confirm answers every dialog
+ * @returns {Object} - { game, clock, events, alerts, eventsNamed }
+ */
+export const createTestGame = ({ cards = createCards(), confirm = true } = {}) => {
+  localStorage.clear();
+  const clock = createManualClock();
+  const alerts = [];
+  const game = new GameManager({ decks: [] }, {
+    clock,
+    dialogs: {
+      alert: (message) => alerts.push(message),
+      confirm: () => confirm
+    }
+  });
+  game.setCustomDecks([{ id: 'test', name: 'Test', cards }]);
+
+  const events = [];
+  const emit = game.emit.bind(game);
+  game.emit = (event, payload) => {
+    events.push({ event, payload });
+    emit(event, payload);
+  };
+
+  return {
+    game,
+    clock,
+    events,
+    alerts,
+    eventsNamed: (name) => events.filter(e => e.event === name).map(e => e.payload)
+  };
+};
+
+/**
+ * Sets up teams and starts the first countdown
+ * @param {GameManager} game - Game to start
+ * @param {number} teamCount - Number of teams
+ * @returns {Promise<void>}
+ */
+export const startGame = async (game, teamCount = 2) => {
+  game.configureTeams(teamCount);
+  await game.setupAndStartGame();
+};
+
+/**
+ * Starts the game and skips straight into the first turn
+ * @param {GameManager} game - Game to start
+ * @param {number} teamCount - Number of teams
+ * @returns {Promise<void>}
+ */
+export const startFirstTurn = async (game, teamCount = 2) => {
+  await startGame(game, teamCount);
+  game.skipCountdown();
+};
@@ -0,0 +1,160 @@
+/**
+ * Input Controls tests - Run with: npm test
+ */
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_CONFIG } from '../js/constants.js';
+import { InputControls, formatInput } from '../js/input-controls.js';
+import './helpers.js';
+
+/**
+ * Create controls that record the commands they run
+ * @returns {Object} - { controls, commands }
+ */
+const createControls = () => {
+  const controls = new InputControls();
+  const commands = [];
+  controls.onCommand = (command) => commands.push(command);
+  return { controls, commands };
+};
+
+/**
+ * Build a key event like the browser's
+ * @param {string} key - KeyboardEvent.key
+ * @param {Object} extra - Other event fields
+ * @returns {Object} - Event with preventDefault recorded on it
+ */
+const keyEvent = (key, extra = {}) => ({
+  key,
+  target: null,
+  defaultPrevented: false,
+  preventDefault() { this.defaultPrevented = true; },
+  ...extra
+});
+
+/**
+ * Build a gamepad snapshot with some buttons held
+ * @param {Array<number>} held - Button indexes held down
+ * @returns {Object} - Gamepad-like object
+ */
+const gamepad = (held) => ({
+  index: 0,
+  buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: held.includes(i) }))
+});
+
+beforeEach(() => localStorage.clear());
+
+describe('shortcuts', () => {
+  test('clicker page keys score and pass', () => {
+    const { controls, commands } = createControls();
+    const event = keyEvent('PageDown');
+
+    controls.handleKeyDown(event);
+    controls.handleKeyDown(keyEvent('PageUp'));
+    assert.deepEqual(commands, ['correct', 'pass']);
+    assert.equal(event.defaultPrevented, true);
+  });
+
+  test('letters match either case and one key can run several commands', () => {
+    const { controls, commands } = createControls();
+
+    controls.handleKeyDown(keyEvent('C'));
+    controls.handleKeyDown(keyEvent('Enter'));
+    assert.deepEqual(commands, ['correct', 'skipCountdown', 'confirmReview']);
+  });
+
+  test('ignores typing, held keys and browser shortcuts', () => {
+    const { controls, commands } = createControls();
+    const input = { closest: (selector) => (selector.includes('input') ? {} : null) };
+
+    controls.handleKeyDown(keyEvent('c', { target: input }));
+    controls.handleKeyDown(keyEvent('c', { repeat: true }));
+    controls.handleKeyDown(keyEvent('c', { ctrlKey: true }));
+    const unbound = keyEvent('z');
+    controls.handleKeyDown(unbound);
+    assert.deepEqual(commands, []);
+    assert.equal(unbound.defaultPrevented, false);
+  });
+
+  test('a gamepad button counts once per press', () => {
+    const { controls, commands } = createControls();
+
+    controls.pollGamepads([gamepad([9])]);
+    controls.pollGamepads([gamepad([9])]);
+    controls.pollGamepads([gamepad([])]);
+    controls.pollGamepads([gamepad([9])]);
+    assert.deepEqual(commands, ['pause', 'pause']);
+  });
+});
+
+describe('remapping', () => {
+  test('the next key replaces the command keys and is remembered', () => {
+    const { controls, commands } = createControls();
+
+    controls.startCapture('buzz');
+    controls.handleKeyDown(keyEvent('x'));
+    assert.equal(controls.capturing, null);
+    assert.deepEqual(commands, []);
+
+    const reloaded = createControls();
+    reloaded.controls.handleKeyDown(keyEvent('x'));
+    reloaded.controls.handleKeyDown(keyEvent('b'));
+    assert.deepEqual(reloaded.commands, ['buzz']);
+    assert.deepEqual(reloaded.controls.bindings.buzz.buttons, GAME_CONFIG.SHORTCUTS.buzz.buttons);
+  });
+
+  test('a key taken by another command moves to the remapped one', () => {
+    const { controls, commands } = createControls();
+
+    controls.startCapture('buzz');
+    controls.handleKeyDown(keyEvent('c'));
+    controls.handleKeyDown(keyEvent('c'));
+    assert.deepEqual(commands, ['buzz']);
+    assert.deepEqual(controls.bindings.correct.keys, ['ArrowRight', 'PageDown']);
+
+    controls.startCapture('pause');
+    controls.pollGamepads([gamepad([0])]);
+    controls.pollGamepads([]);
+    controls.pollGamepads([gamepad([0])]);
+    assert.deepEqual(commands, ['buzz', 'pause']);
+    assert.deepEqual(createControls().controls.bindings.skipCountdown.buttons, []);
+  });
+
+  test('commands for different screens can still share a key', () => {
+    const { controls, commands } = createControls();
+
+    controls.startCapture('skipCountdown');
+    controls.handleKeyDown(keyEvent('c'));
+    controls.handleKeyDown(keyEvent('c'));
+    assert.deepEqual(commands, ['correct', 'skipCountdown']);
+    assert.ok(controls.bindings.confirmReview.keys.includes('Enter'));
+  });
+
+  test('a gamepad button replaces only the command buttons', () => {
+    const { controls } = createControls();
+
+    controls.startCapture('pass');
+    controls.pollGamepads([gamepad([4])]);
+    assert.deepEqual(controls.bindings.pass, { keys: GAME_CONFIG.SHORTCUTS.pass.keys, buttons: [4] });
+  });
+
+  test('escape cancels and reset brings the defaults back', () => {
+    const { controls } = createControls();
+
+    controls.startCapture('correct');
+    controls.handleKeyDown(keyEvent('Escape'));
+    assert.deepEqual(controls.bindings.correct.keys, GAME_CONFIG.SHORTCUTS.correct.keys);
+
+    controls.startCapture('correct');
+    controls.handleKeyDown(keyEvent('q'));
+    controls.resetBindings();
+    assert.deepEqual(controls.bindings.correct.keys, GAME_CONFIG.SHORTCUTS.correct.keys);
+    assert.deepEqual(createControls().controls.bindings.correct.keys, GAME_CONFIG.SHORTCUTS.correct.keys);
+  });
+
+  test('names keys and buttons for the overlay', () => {
+    assert.equal(formatInput('keys', ' '), 'Space');
+    assert.equal(formatInput('keys', 'c'), 'C');
+    assert.equal(formatInput('buttons', 0), '🎮 A');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Sound Manager tests - Run with: npm test
+ */
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GAME_CONFIG } from '../js/constants.js';
+import { SoundManager } from '../js/sound-manager.js';
+import { SOUND_PACKS } from '../js/sound-packs.js';
+import { MusicPlayer } from '../js/music-player.js';
+import { Announcer, PHRASE_SETS } from '../js/announcer.js';
+import { createTestGame, createManualClock, startGame, startFirstTurn } from './helpers.js';
+
+/**
+ * Audio node that accepts every call and connection
+ * @returns {Object}
+ */
+const createNode = () => {
+  const param = {
+    value: 0,
+    setValueAtTime() {},
+    exponentialRampToValueAtTime() {},
+    setTargetAtTime() {},
+    cancelScheduledValues() {}
+  };
+  return {
+    frequency: { ...param },
+    gain: { ...param },
+    Q: { ...param },
+    connect() {},
+    disconnect() {},
+    start() {},
+    stop() {}
+  };
+};
+
+const fakeContext = {
+  currentTime: 0,
+  sampleRate: 8000,
+  createOscillator: createNode,
+  createGain: createNode,
+  createBiquadFilter: createNode,
+  createBufferSource: createNode,
+  createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) })
+};
+
+/**
+ * Start a turn with a sound manager that records what it plays
+ * @returns {Promise<Object>} - createTestGame's setup plus played sound names and music calls
+ */
+const startWithSounds = async () => {
+  const setup = createTestGame();
+  const sounds = new SoundManager();
+  const played = [];
+  const music = [];
+  sounds.play = (name) => played.push(name);
+  sounds.music = {
+    start: () => music.push('start'),
+    stop: (fadeTime) => music.push(fadeTime ? 'fade' : 'stop'),
+    duck: () => music.push('duck'),
+    setIntensity: (level) => { sounds.music.intensity = level; },
+    intensity: 0
+  };
+  sounds.bindGame(setup.game);
+  await startFirstTurn(setup.game);
+  return { ...setup, sounds, played, music };
+};
+
+describe('sound packs', () => {
+  test('every pack has every sound and builds it without errors', () => {
+    const names = Object.keys(SOUND_PACKS.naija);
+    Object.values(SOUND_PACKS).forEach(pack => {
+      assert.deepEqual(Object.keys(pack).sort(), [...names].sort());
+      names.forEach(name => pack[name](fakeContext, createNode()));
+    });
+  });
+});
+
+describe('game sounds', () => {
+  test('ticks once a second through the last seconds of a turn', async () => {
+    const { clock, played } = await startWithSounds();
+
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    assert.equal(played.filter(name => name === 'tick').length, GAME_CONFIG.TICKING_SECONDS);
+    assert.equal(played.at(-1), 'timeUp');
+  });
+
+  test('plays a sound for each card result', async () => {
+    const { game, played } = await startWithSounds();
+
+    game.handleCorrect();
+    game.handlePass();
+    game.handleBuzz();
+    assert.deepEqual(played.slice(-3), ['correct', 'pass', 'buzz']);
+  });
+
+  test('volumes are kept between 0 and 1 and remembered', () => {
+    localStorage.clear();
+    const sounds = new SoundManager();
+
+    sounds.setVolume('sfx', 2);
+    sounds.setVolume('music', 0);
+    sounds.setPack('classic');
+    assert.deepEqual(new SoundManager().settings, { pack: 'classic', sfxVolume: 1, musicVolume: 0, voice: 'off' });
+    assert.equal(sounds.isMuted(), false);
+  });
+});
+
+describe('music', () => {
+  test('plays while the clock runs and fades out for the review', async () => {
+    const { game, clock, music } = await startWithSounds();
+
+    game.handleCorrect();
+    game.togglePause();
+    game.togglePause();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    assert.deepEqual(music, ['start', 'duck', 'stop', 'start', 'fade']);
+  });
+
+  test('speeds up over the last seconds of the turn', async () => {
+    const { clock, sounds } = await startWithSounds();
+    const rampMs = GAME_CONFIG.MUSIC.RAMP_SECONDS * 1000;
+
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000 - rampMs);
+    assert.equal(sounds.music.intensity, 0);
+    clock.advance(rampMs / 2);
+    assert.equal(sounds.music.intensity, 0.5);
+  });
+
+  test('stays off when the music volume is down', async () => {
+    localStorage.clear();
+    const sounds = new SoundManager();
+    sounds.setVolume('music', 0);
+    sounds.music = { start: () => assert.fail('music started') };
+    sounds.startMusic();
+  });
+
+  test('the groove schedules sixteenths ahead, faster when intense', () => {
+    const ctx = { ...fakeContext, currentTime: 0 };
+    const clock = createManualClock();
+    const player = new MusicPlayer(ctx, createNode(), { clock });
+    const relaxed = player.getStepDuration();
+
+    player.start();
+    for (let i = 0; i < 40; i++) {
+      ctx.currentTime += 0.025;
+      clock.advance(25);
+    }
+    assert.equal(player.step, Math.floor((1 + 0.1 - 0.05) / relaxed) + 1);
+
+    player.setIntensity(1);
+    assert.ok(player.getStepDuration() < relaxed);
+    player.stop();
+    assert.equal(player.isPlaying, false);
+  });
+});
+
+describe('announcer', () => {
+  /**
+   * Start a turn with the announcer speaking into a list
+   * @param {string} voice - Phrase set
+   * @returns {Promise<Object>} - createTestGame's setup plus spoken lines
+   */
+  const startWithVoice = async (voice) => {
+    const spoken = [];
+    const setup = createTestGame();
+    const sounds = new SoundManager();
+    sounds.play = () => {};
+    sounds.announcer = new Announcer({
+      speech: { speak: (utterance) => spoken.push(utterance.text), cancel: () => {} },
+      Utterance: class { constructor(text) { this.text = text; } }
+    });
+    sounds.announcer.voice = voice;
+    sounds.bindGame(setup.game);
+    await startGame(setup.game);
+    return { ...setup, sounds, spoken };
+  };
+
+  test('calls out the countdown, the last ten seconds and the score', async () => {
+    const { game, clock, spoken } = await startWithVoice('english');
+
+    clock.advance(GAME_CONFIG.COUNTDOWN_DURATION * 1000);
+    game.handleCorrect();
+    clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    game.confirmScore();
+    assert.deepEqual(spoken, [
+      'Team 1, get ready.', '3', '2', '1', 'Go!', '10 seconds left!', "Time's up!", 'Team 1 scored 1 point.'
+    ]);
+  });
+
+  test('speaks Naija when chosen and stays quiet when off', async () => {
+    const naija = await startWithVoice('naija');
+    naija.clock.advance(GAME_CONFIG.COUNTDOWN_DURATION * 1000);
+    naija.clock.advance(GAME_CONFIG.DEFAULT_ROUND_DURATION * 1000);
+    assert.ok(naija.spoken.includes('Oya! Go!'));
+    assert.equal(naija.spoken.at(-1), 'Time don reach!');
+
+    const off = await startWithVoice('off');
+    off.clock.advance(GAME_CONFIG.COUNTDOWN_DURATION * 1000);
+    assert.deepEqual(off.spoken, []);
+  });
+
+  test('reads scores below zero as minus points', () => {
+    const { english, naija } = PHRASE_SETS;
+
+    assert.equal(english.roundResult('Team 1', -1), 'Team 1 scored minus 1 point.');
+    assert.equal(naija.roundResult('Team 1', 2), 'Team 1 don chop 2 points!');
+    assert.equal(naija.roundResult('Team 1', 0), 'Team 1, 0 points. Una go try again!');
+    assert.equal(naija.roundResult('Team 1', -2), 'Team 1, minus 2 points. Una go try again!');
+  });
+});